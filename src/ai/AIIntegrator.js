@@ -1,98 +1,277 @@
-const OpenAI = require('openai');
 const fs = require('fs-extra');
+const crypto = require('crypto');
 const path = require('path');
 const glob = require('glob');
 const chalk = require('chalk');
 const ora = require('ora');
 
+const RunManager = require('./RunManager');
+const DiffReviewer = require('./DiffReviewer');
+const ContextBuilder = require('./ContextBuilder');
+const PatchApplier = require('./PatchApplier');
+const CodeValidator = require('./CodeValidator');
+const WritePolicy = require('./WritePolicy');
+const CodemodRunner = require('./CodemodRunner');
+const PromptPacks = require('./PromptPacks');
+const SecretRedactor = require('./SecretRedactor');
+const UsageTracker = require('./UsageTracker');
+const FrameworkDetector = require('../scanner/FrameworkDetector');
+const GitManager = require('../utils/GitManager');
+const WorkerPool = require('../utils/WorkerPool');
+const { resolveLLMConfig, createProvider, CachingProvider } = require('./providers');
+const { recommendationSchema, extractJson, validateRecommendations } = require('./recommendationSchema');
+
 class AIIntegrator {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+  constructor(options = {}) {
+    // options.llm comes from weamint.config.json, options.llmOverrides from CLI flags
+    this.llmConfig = resolveLLMConfig(options.llm, options.llmOverrides);
+    this.provider = options.provider || createProvider(this.llmConfig);
+    // Replayed fixtures are already deterministic; caching them would only hide fixture changes
+    this.cacheEnabled = options.cache !== undefined ? options.cache : this.llmConfig.provider !== 'mock';
+    this.maxRecommendationAttempts = options.maxRecommendationAttempts || 3;
+    this.maxRepairAttempts = options.maxRepairAttempts !== undefined ? options.maxRepairAttempts : 2;
+    this.writePolicyOptions = options.writePolicy || {};
+    // Scripted mock replays hand out responses in request order, so they run one file at a time
+    this.concurrency = options.concurrency || (this.llmConfig.provider === 'mock' ? 1 : 4);
     
-    this.weamContext = `
-# Weam.ai Integration Context
-
-## Authentication System
-- Uses iron-session with cookie name "weam"
-- Cookie password from WEAM_COOKIE_PASSWORD env var
-- Session middleware: weamSessionMiddleware()
-- Auth guard: requireWeamAuth()
-
-## Database Integration
-- MongoDB with Mongoose
-- User fields: { id: String, email: String, name: String, avatar: String }
-- Company field: companyId: String
-- Timestamps: createdAt, updatedAt
-- Public field: isPublic: Boolean
-
-## Branding
-- Weam logo component
-- "Back to App" button linking to https://app.weam.ai
-- Weam color scheme and styling
-- Navigation with Weam branding
-
-## API Integration
-- Proxy routes in Weam for API forwarding
-- CORS configuration for Weam domain
-- Error handling with 401 redirects to login
-
-## File Structure
-- middleware/weamSession.js - Session handling
-- lib/db.js - Database connection
-- components/WeamLogo.jsx - Logo component
-- components/WeamNavigation.jsx - Navigation
-- styles/weam.css - Weam styling
-`;
-
-    this.integrationPrompts = {
-      express: {
-        middleware: `Add Weam session middleware to Express app. Import weamSessionMiddleware and requireWeamAuth, add session middleware, protect API routes with auth.`,
-        database: `Update Mongoose models to include Weam user/company fields. Add user: {id, email, name, avatar}, companyId, isPublic, timestamps.`,
-        branding: `Add Weam branding to Express app. Include Weam logo, "Back to App" button, and Weam styling.`
-      },
-      nextjs: {
-        middleware: `Add Weam session handling to Next.js app. Use iron-session, add session validation, protect API routes.`,
-        database: `Update database models for Weam integration. Add user association and company fields.`,
-        branding: `Add Weam components and styling to Next.js app. Include Weam logo and navigation.`
-      },
-      react: {
-        middleware: `Add Weam authentication to React app. Handle session validation, API auth headers, redirect on 401.`,
-        database: `Update API calls to include user context and company association.`,
-        branding: `Add Weam branding components to React app. Include logo, navigation, and styling.`
-      }
-    };
+    this.diffReviewer = new DiffReviewer();
+    this.contextBuilder = new ContextBuilder();
+    this.patchApplier = new PatchApplier();
+    this.maxFileSize = 512 * 1024;
+    
+    // Weam context and per-area instructions come from the prompt packs selected for each app
+    this.promptPacks = new PromptPacks({ dir: options.promptsDir });
+    this.frameworkDetector = new FrameworkDetector();
+    this.prompts = { packs: [], context: '', areas: {} };
   }
 
   async integrateApp(appPath, options = {}) {
-    const spinner = ora('🤖 AI is analyzing your app...').start();
+    const spinner = ora(options.resume ? '🔁 Resuming AI run...' : '🤖 AI is analyzing your app...').start();
+    
+    if (options.resume && (options.git || options.dryRun)) {
+      const error = new Error('--resume cannot be combined with --git or --dry-run');
+      spinner.fail(`❌ ${error.message}`);
+      throw error;
+    }
+    
+    // Loaded before branching so a bad policy or secrets file never strands the repo on the integration branch
+    await this.prepare(appPath);
+    
+    // Branch before anything is written so the run lands on its own commits
+    let gitSession = null;
+    if (options.git && !options.dryRun) {
+      try {
+        this.gitManager = new GitManager(appPath);
+        gitSession = await this.gitManager.prepare(options.gitBranch);
+        
+        // Files the caller only writes once the branch exists (the project config) become its first commit
+        if (options.onBranch) {
+          const files = [].concat(await options.onBranch())
+            .map(file => path.relative(appPath, file))
+            .filter(file => !file.startsWith('..'));
+          const subject = 'Save weamint integration settings';
+          const sha = files.length > 0 && await this.gitManager.commit(files, `${subject}\n\nGenerated by weamint.`);
+          if (sha) {
+            gitSession.commits.push({ area: 'config', sha, subject, files });
+          }
+        }
+      } catch (error) {
+        if (gitSession) {
+          await this.gitManager.discard(gitSession);
+        }
+        spinner.fail(`❌ ${error.message}`);
+        throw error;
+      }
+    }
+    
+    let run;
+    if (options.resume) {
+      try {
+        run = await this.runManager.loadResumableRun(options.resume === true ? null : options.resume);
+      } catch (error) {
+        spinner.fail(`❌ ${error.message}`);
+        throw error;
+      }
+      // The saved preferences decide what the plan was; this invocation only changes how it is applied
+      options = { ...run.options, review: options.review, concurrency: options.concurrency, onProgress: options.onProgress };
+      run.status = 'in-progress';
+      run.resumedAt = new Date().toISOString();
+    } else {
+      run = await this.runManager.startRun({
+        ...options,
+        llm: {
+          provider: this.llmConfig.provider,
+          model: this.llmConfig.model,
+          temperature: this.llmConfig.temperature,
+          maxTokens: this.llmConfig.maxTokens
+        }
+      });
+    }
+    
+    this.codemodRunner = new CodemodRunner({ outputDir: options.outputDir });
+    
+    // Ctrl+C leaves the manifest resumable instead of in-progress forever
+    const onInterrupt = () => {
+      spinner.fail(`⏹️  Interrupted - resume with: weamint ai-integrate --resume ${run.runId}`);
+      this.runManager.finishRun(run, 'interrupted').finally(() => process.exit(130));
+    };
+    process.once('SIGINT', onInterrupt);
     
     try {
-      // Step 1: Analyze the app structure
-      const appAnalysis = await this.analyzeApp(appPath);
-      spinner.text = '🔍 AI is understanding your code...';
+      let recommendations = run.recommendations;
       
-      // Step 2: Get AI recommendations
-      const recommendations = await this.getAIRecommendations(appAnalysis, options);
+      if (recommendations) {
+        // The packs the run was planned with still guide its remaining edits
+        await this.loadPrompts(appPath, (run.promptPacks || []).map(pack => pack.name), options);
+      } else {
+        // Step 1: Analyze the app structure
+        const appAnalysis = await this.analyzeApp(appPath);
+        await this.loadPrompts(appPath, this.promptPacks.selectNames(appAnalysis), options);
+        run.promptPacks = this.prompts.packs;
+        
+        // Hybrid mode: codemods take the integration points they recognize, the model gets the rest
+        let codemodPlan = null;
+        if (options.hybrid) {
+          codemodPlan = await this.codemodRunner.plan(appPath, appAnalysis, options);
+          run.hybrid = {
+            codemods: codemodPlan.recommendations.map(r => ({ file: r.filePath, codemod: r.codemod })),
+            unresolved: codemodPlan.unresolved
+          };
+        }
+        const needsModel = !codemodPlan || codemodPlan.unresolved.length > 0;
+        
+        // Price the run before the first request and let the caller back out
+        const estimate = needsModel ? this.estimateRun(appAnalysis, options) : null;
+        run.estimate = estimate;
+        if (estimate && options.confirmEstimate) {
+          spinner.stop();
+          if (!(await options.confirmEstimate(estimate))) {
+            if (gitSession) {
+              await this.gitManager.abandon(gitSession);
+            }
+            await this.runManager.finishRun(run, 'cancelled');
+            
+            return {
+              success: false,
+              cancelled: true,
+              runId: run.runId,
+              dryRun: Boolean(options.dryRun),
+              estimate,
+              changes: [],
+              summary: this.generateSummary([], this.usageTracker.summary())
+            };
+          }
+          spinner.start();
+        }
+        spinner.text = '🔍 AI is understanding your code...';
+        
+        // Step 2: Get AI recommendations, saved so an interrupted run can pick up from here
+        recommendations = needsModel ? await this.getAIRecommendations(appAnalysis, { ...options, codemodPlan }, run) : [];
+        if (codemodPlan) {
+          recommendations = [...codemodPlan.recommendations, ...this.withoutCodemodFiles(recommendations, codemodPlan)];
+        }
+        run.recommendations = recommendations;
+        await this.runManager.saveManifest(run);
+      }
+      
+      // A resumed run skips what was already written or rejected
+      const pending = recommendations
+        .map((recommendation, index) => ({ ...recommendation, index }))
+        .filter(recommendation => !(run.completed || []).includes(recommendation.index));
       spinner.text = '⚡ AI is making changes...';
       
       // Step 3: Apply AI changes
-      const changes = await this.applyAIChanges(appPath, recommendations);
-      spinner.succeed('✅ AI integration complete!');
+      // Spinner output would garble the diffs and review prompts
+      if (options.review || options.dryRun) {
+        spinner.stop();
+      }
+      const changes = await this.applyAIChanges(appPath, pending, run, {
+        ...options,
+        onProgress: options.onProgress || ((done, total) => {
+          spinner.text = `⚡ AI is making changes... (${done}/${total} files)`;
+        })
+      });
+      
+      if (gitSession) {
+        await this.gitManager.commitAreas(gitSession, changes);
+        await this.gitManager.exportPatch(
+          gitSession,
+          options.patchFile ? path.resolve(options.patchFile) : path.join(this.runManager.getRunDir(run.runId), 'weam-integration.patch')
+        );
+        run.git = gitSession;
+      }
+      
+      run.usage = this.usageTracker.summary();
+      run.redactions = this.redactor.summary(run.redactions);
+      await this.runManager.finishRun(run, options.dryRun ? 'dry-run' : 'completed');
+      spinner.succeed(options.dryRun ? '✅ AI dry run complete - no files were written' : '✅ AI integration complete!');
       
       return {
         success: true,
+        runId: run.runId,
+        dryRun: Boolean(options.dryRun),
+        ...(run.resumedAt && { resumed: true, skipped: recommendations.length - pending.length }),
+        ...(run.hybrid && { hybrid: run.hybrid }),
+        redactions: run.redactions,
         changes: changes,
-        summary: this.generateSummary(changes)
+        summary: this.generateSummary(changes, run.usage),
+        ...(gitSession && { git: gitSession })
       };
       
     } catch (error) {
-      spinner.fail('❌ AI integration failed');
+      await this.runManager.rollback(run);
+      // A failed commit or patch export would otherwise leave HEAD on the new branch with files staged
+      if (gitSession) {
+        await this.gitManager.discard(gitSession);
+      }
+      spinner.fail(`❌ AI integration failed - changes from run ${run.runId} were rolled back`);
       throw error;
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
     }
   }
 
+  // Per-app state shared by integration runs and follow-ups on them
+  async prepare(appPath) {
+    // Every run keeps the originals so it can be rolled back or undone
+    this.runManager = new RunManager(appPath);
+    this.codeValidator = new CodeValidator(appPath);
+    // The model never rewrites the prompt packs that instruct it
+    const promptsDir = path.relative(appPath, this.promptPacks.getProjectDir(appPath)).replace(/\\/g, '/');
+    this.writePolicy = await new WritePolicy(appPath, {
+      ...this.writePolicyOptions,
+      deny: [...(this.writePolicyOptions.deny || []), ...(promptsDir.startsWith('..') ? [] : [`${promptsDir}/`])]
+    }).load();
+    this.usageTracker = new UsageTracker(this.llmConfig);
+    this.redactor = await new SecretRedactor(appPath).load();
+    // Identical requests from earlier runs are answered from .weamint/cache
+    this.llm = this.cacheEnabled
+      ? new CachingProvider(this.provider, path.join(appPath, '.weamint', 'cache'))
+      : this.provider;
+  }
+
+  // Secrets never leave the machine: masked in everything sent, restored in what comes back
+  redact(file, text) {
+    return this.redactor ? this.redactor.redact(file, text) : text;
+  }
+
+  restoreSecrets(text) {
+    return this.redactor ? this.redactor.restore(text) : text;
+  }
+
+  async loadPrompts(appPath, names, options = {}) {
+    this.prompts = await this.promptPacks.load(appPath, names, options);
+    return this.prompts;
+  }
+
+  // Per-area instructions from the prompt packs, for the areas the user enabled
+  formatAreaInstructions(areas = Object.keys(this.prompts.areas)) {
+    return areas
+      .filter(area => this.prompts.areas[area])
+      .map(area => `### ${area}\n${this.prompts.areas[area]}`)
+      .join('\n\n');
+  }
+
   async analyzeApp(appPath) {
     const analysis = {
       framework: 'unknown',
@@ -110,13 +289,11 @@ class AIIntegrator {
     if (await fs.pathExists(packageJsonPath)) {
       analysis.packageJson = await fs.readJson(packageJsonPath);
       
-      // Detect framework
-      if (analysis.packageJson.dependencies?.next) {
-        analysis.framework = 'nextjs';
-      } else if (analysis.packageJson.dependencies?.express) {
-        analysis.framework = 'express';
-      } else if (analysis.packageJson.dependencies?.react) {
-        analysis.framework = 'react';
+      // Same detection as the scanner; the ranked candidates also pick the prompt packs
+      analysis.frameworkCandidates = await this.frameworkDetector.detect(appPath, analysis.packageJson);
+      const best = this.frameworkDetector.pick(analysis.frameworkCandidates);
+      if (best) {
+        analysis.framework = best.framework;
       }
     }
 
@@ -126,18 +303,40 @@ class AIIntegrator {
       '**/*.jsx',
       '**/*.ts',
       '**/*.tsx',
+      '**/*.vue',
+      '**/*.svelte',
       '**/*.json'
     ];
 
     for (const pattern of patterns) {
       const files = glob.sync(pattern, { 
         cwd: appPath,
-        ignore: ['**/node_modules/**', '**/dist/**', '**/build/**']
+        ignore: [
+          '**/node_modules/**',
+          '**/dist/**',
+          '**/build/**',
+          '**/.next/**',
+          '**/coverage/**',
+          '**/package-lock.json',
+          '**/*.min.js'
+        ]
       });
       
       for (const file of files) {
         const filePath = path.join(appPath, file);
-        const content = await fs.readFile(filePath, 'utf8');
+        
+        // .weamignore'd files are never read, so they can never reach a prompt
+        if (this.redactor && this.redactor.isIgnored(file)) {
+          continue;
+        }
+        
+        // Generated bundles and data dumps are never useful context
+        const stats = await fs.stat(filePath);
+        if (stats.size > this.maxFileSize) {
+          continue;
+        }
+        
+        const content = this.redact(file, await fs.readFile(filePath, 'utf8'));
         
         analysis.files.push({
           path: file,
@@ -174,9 +373,84 @@ class AIIntegrator {
     return analysis;
   }
 
-  async getAIRecommendations(analysis, options) {
+  // Every model request goes through here so cache hits and token usage are counted
+  async callModel(request) {
+    const response = await (this.llm || this.provider).complete(request);
+    if (this.usageTracker) {
+      this.usageTracker.record(response);
+    }
+    
+    return response;
+  }
+
+  // Rough upper bound: the planning request plus one edit for each high-value file in the context
+  estimateRun(analysis, options = {}) {
+    const context = this.contextBuilder.build(analysis.files, {
+      ...options,
+      maxTokens: options.contextTokens
+    });
+    const fileTokens = Object.fromEntries(
+      analysis.files.map(file => [file.path, this.contextBuilder.estimateTokens(file.content)])
+    );
+    const targets = context.files.filter(file => file.score >= 80);
+    
+    const inputTokens = context.totalTokens + this.contextBuilder.estimateTokens(this.prompts.context + this.formatAreaInstructions()) + 600
+      + targets.reduce((sum, file) => sum + fileTokens[file.path] + 400, 0);
+    const outputTokens = 1500
+      + targets.reduce((sum, file) => sum + Math.ceil(fileTokens[file.path] / 4) + 200, 0);
+    
+    return {
+      requests: 1 + targets.length,
+      inputTokens,
+      outputTokens,
+      estimatedCost: this.usageTracker ? this.usageTracker.cost(inputTokens, outputTokens) : null
+    };
+  }
+
+  // Prompt section telling the model which files the codemods own and what is left for it
+  describeCodemodPlan(plan) {
+    if (!plan) {
+      return '';
+    }
+    
+    const handled = plan.recommendations.map(r => `- ${r.filePath}: ${r.description}`);
+    const remaining = plan.unresolved.map(u => `- ${u.area}${u.file ? ` (${u.file})` : ''}: ${u.reason}`);
+    
+    return `
+## Already Handled
+These edits are made by deterministic codemods. Do not propose changes to these files.
+${handled.length > 0 ? handled.join('\n') : '- none'}
+
+## Remaining Integration Points
+Only propose changes for these.
+${remaining.join('\n')}
+`;
+  }
+
+  withoutCodemodFiles(recommendations, plan) {
+    const owned = new Set(plan.recommendations.map(r => this.writePolicy.normalize(r.filePath)));
+    
+    return recommendations.filter(recommendation => {
+      if (!owned.has(this.writePolicy.normalize(recommendation.filePath))) {
+        return true;
+      }
+      console.log(chalk.gray(`   Skipping AI change to ${recommendation.filePath} - a codemod already edits it`));
+      return false;
+    });
+  }
+
+  async getAIRecommendations(analysis, options, run = null) {
+    // Send real file contents, most relevant first, within the token budget
+    const context = this.contextBuilder.build(analysis.files, {
+      ...options,
+      maxTokens: options.contextTokens
+    });
+    if (run) {
+      run.context = this.contextBuilder.describe(context);
+    }
+    
     const prompt = `
-${this.weamContext}
+${this.prompts.context}
 
 ## App Analysis
 - Framework: ${analysis.framework}
@@ -191,14 +465,22 @@ ${this.weamContext}
 - Add Database: ${options.addDatabase !== false}
 - Add Branding: ${options.addBranding !== false}
 - App Name: ${options.appName || 'My App'}
+- Collection Prefix: ${options.collectionPrefix || 'none'}
+
+## Framework Instructions
+${this.formatAreaInstructions() || 'None for this framework.'}
+
+## Relevant Files
+Files are ranked by relevance; large files are sent as a line-numbered outline or truncated.
 
-## Key Files to Modify
-${analysis.files.slice(0, 10).map(f => `- ${f.path} (${f.type})`).join('\n')}
+${context.text}
 
-Please provide specific code changes needed to integrate this app with Weam.ai. For each file that needs modification, provide:
-1. File path
-2. Specific changes needed
-3. Code snippets to add/modify
+Please list the file changes needed to integrate this app with Weam.ai. For each file provide:
+1. filePath - path relative to the app root
+2. action - "create", "modify" or "delete"
+3. area - the integration area: "auth", "database", "branding" or "proxy"
+4. rationale - why the file needs to change
+5. description - the specific changes, including code snippets to add/modify
 
 Focus on:
 1. Adding Weam session middleware
@@ -208,133 +490,401 @@ Focus on:
 5. Adding proper error handling and redirects
 
 Be specific about what code to add, where to add it, and what to modify.
-`;
+${this.describeCodemodPlan(options.codemodPlan)}${this.provider.supportsTools ? '' : `
+Respond with JSON only, matching this schema:
+${JSON.stringify(recommendationSchema.parameters, null, 2)}
+`}`;
+
+    const messages = [
+      {
+        role: "system",
+        content: "You are an expert developer specializing in Weam.ai integrations. You understand authentication, database design, and UI/UX patterns. Provide specific, actionable code changes."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ];
 
-    const response = await this.openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert developer specializing in Weam.ai integrations. You understand authentication, database design, and UI/UX patterns. Provide specific, actionable code changes."
-        },
+    return this.requestRecommendations(messages, run);
+  }
+
+  // Re-prompt with the validation errors until the plan matches the schema
+  async requestRecommendations(messages, run = null, schema = recommendationSchema, step = 'recommendations') {
+    const actions = schema.parameters.properties.recommendations.items.properties.action.enum;
+    
+    let errors = [];
+    for (let attempt = 1; attempt <= this.maxRecommendationAttempts; attempt++) {
+      const { content } = await this.callModel({ messages, schema });
+      if (run) {
+        this.runManager.recordPrompt(run, step, null, [...messages], content);
+      }
+
+      const result = this.parseAIResponse(content, actions);
+      if (result.valid) {
+        return result.recommendations;
+      }
+
+      errors = result.errors;
+      messages.push(
+        { role: "assistant", content },
         {
           role: "user",
-          content: prompt
+          content: `Your response did not match the required schema:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReturn the corrected JSON only.`
         }
-      ],
-      temperature: 0.1
+      );
+    }
+
+    throw new Error(`AI recommendations failed validation after ${this.maxRecommendationAttempts} attempts: ${errors.join('; ')}`);
+  }
+
+  async applyAIChanges(appPath, recommendations, run = null, options = {}) {
+    // Collect every proposed file first so the batch can be reviewed as a whole
+    let proposals = await this.proposeChanges(appPath, recommendations, run, options);
+    
+    if (options.dryRun) {
+      this.diffReviewer.printAll(proposals);
+      return proposals.map(proposal => ({
+        file: proposal.file,
+        action: proposal.action,
+        area: proposal.area,
+        success: !proposal.error,
+        dryRun: true,
+        patch: proposal.error ? null : this.diffReviewer.createUnifiedPatch(proposal),
+        ...(proposal.blocked && { blocked: true }),
+        ...(proposal.validation && { validation: proposal.validation }),
+        ...(proposal.error && { error: proposal.error })
+      }));
+    }
+    
+    if (options.review) {
+      proposals = await this.diffReviewer.review(proposals);
+    }
+    
+    return this.writeProposals(appPath, proposals, run);
+  }
+
+  async proposeChanges(appPath, recommendations, run = null, options = {}) {
+    // Different files are edited in parallel; edits to the same file stay in order, each on top of the last
+    const groups = new Map();
+    recommendations.forEach((recommendation, position) => {
+      const key = (this.writePolicy && this.writePolicy.normalize(recommendation.filePath)) || recommendation.filePath;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ recommendation, position });
     });
+    
+    const pool = new WorkerPool(options.concurrency || this.concurrency);
+    let done = 0;
+    
+    const results = await pool.run([...groups.values()], async (group) => {
+      const proposals = [];
+      let previous = null;
+      
+      for (const { recommendation, position } of group) {
+        const proposal = await this.proposeChange(appPath, recommendation, run, previous, options);
+        proposals.push({ position, proposal });
+        if (!proposal.error) {
+          previous = proposal;
+        }
+        
+        done++;
+        if (options.onProgress) {
+          options.onProgress(done, recommendations.length);
+        }
+      }
+      
+      return proposals;
+    });
+    
+    return results
+      .flat()
+      .sort((a, b) => a.position - b.position)
+      .map(({ proposal }) => proposal);
+  }
 
-    return this.parseAIResponse(response.choices[0].message.content);
+  // `previous` is an earlier proposal for the same file in this batch; it stands in for the file on disk
+  // `options` come from the caller; changes can be proposed without a run to read them from
+  async proposeChange(appPath, recommendation, run = null, previous = null, options = {}) {
+    // Never trust the model's path: confine it to the app root and the write policy
+    const verdict = this.writePolicy
+      ? await this.writePolicy.check(recommendation.filePath)
+      : { allowed: true, path: recommendation.filePath };
+    
+    if (!verdict.allowed) {
+      return {
+        index: recommendation.index,
+        file: verdict.path,
+        action: recommendation.action,
+        area: recommendation.area,
+        rationale: recommendation.rationale,
+        blocked: true,
+        error: `Blocked write: ${verdict.reason}`
+      };
+    }
+    
+    const filePath = path.join(appPath, verdict.path);
+    const proposal = {
+      index: recommendation.index,
+      file: verdict.path,
+      action: recommendation.action,
+      area: recommendation.area,
+      rationale: recommendation.rationale,
+      existed: previous ? previous.action !== 'delete' : await fs.pathExists(filePath),
+      currentContent: previous ? previous.newContent : ''
+    };
+    
+    try {
+      // Read current file
+      if (proposal.existed && !previous) {
+        proposal.currentContent = await fs.readFile(filePath, 'utf8');
+      }
+
+      if (recommendation.action === 'delete') {
+        if (!proposal.existed) {
+          throw new Error('File to delete does not exist');
+        }
+        proposal.newContent = '';
+      } else if (recommendation.action === 'revert') {
+        // Follow-ups can put a file back the way it was before the run
+        const original = run && await this.runManager.readOriginal(run, verdict.path);
+        if (!original) {
+          throw new Error('File was not changed by this run');
+        }
+        proposal.action = original.existed ? 'modify' : 'delete';
+        proposal.newContent = original.existed ? original.content : '';
+      } else {
+        // Codemods edit deterministically; everything else asks the AI for the new content
+        proposal.newContent = recommendation.codemod
+          ? await this.codemodRunner.apply({ ...recommendation, filePath: verdict.path }, proposal.currentContent, options)
+          : await this.applyFileChanges(proposal.currentContent, { ...recommendation, filePath: verdict.path }, run);
+        if (this.codeValidator) {
+          await this.validateAndRepair(proposal, run);
+        }
+      }
+    } catch (error) {
+      proposal.error = error.message;
+    }
+    
+    return proposal;
   }
 
-  async applyAIChanges(appPath, recommendations) {
+  async writeProposals(appPath, proposals, run = null) {
     const changes = [];
     
-    for (const recommendation of recommendations) {
-      const filePath = path.join(appPath, recommendation.filePath);
+    for (const proposal of proposals) {
+      const filePath = path.join(appPath, proposal.file);
       
-      try {
-        // Read current file
-        let currentContent = '';
-        if (await fs.pathExists(filePath)) {
-          currentContent = await fs.readFile(filePath, 'utf8');
+      if (proposal.error) {
+        changes.push({
+          file: proposal.file,
+          action: proposal.action,
+          area: proposal.area,
+          success: false,
+          error: proposal.error,
+          ...(proposal.blocked && { blocked: true }),
+          ...(proposal.validation && { validation: proposal.validation })
+        });
+        
+        console.log(chalk.red(`${proposal.blocked ? '🚫 Blocked' : '❌ Failed'}: ${proposal.file} - ${proposal.error}`));
+        continue;
+      }
+      
+      if (proposal.accepted === false) {
+        changes.push({
+          file: proposal.file,
+          action: proposal.action,
+          area: proposal.area,
+          success: false,
+          rejected: true
+        });
+        // Rejecting is a decision too; a resumed run does not ask again
+        if (run) {
+          await this.runManager.markCompleted(run, proposal.index);
         }
-
-        // Apply AI changes
-        const newContent = await this.applyFileChanges(currentContent, recommendation);
         
-        // Write back to file
-        await fs.ensureDir(path.dirname(filePath));
-        await fs.writeFile(filePath, newContent);
+        console.log(chalk.gray(`⏭️  Skipped: ${proposal.file}`));
+        continue;
+      }
+      
+      try {
+        // Write back to file, keeping the original in the run backup
+        if (proposal.action === 'delete') {
+          if (run) {
+            await this.runManager.removeFile(run, proposal.file);
+          } else {
+            await fs.remove(filePath);
+          }
+        } else if (run) {
+          await this.runManager.writeFile(run, proposal.file, proposal.newContent);
+        } else {
+          await fs.ensureDir(path.dirname(filePath));
+          await fs.writeFile(filePath, proposal.newContent);
+        }
         
         changes.push({
-          file: recommendation.filePath,
-          action: recommendation.action,
-          success: true
+          file: proposal.file,
+          action: proposal.action,
+          area: proposal.area,
+          success: true,
+          rationale: proposal.rationale,
+          ...(proposal.hunks && { hunks: proposal.hunks }),
+          ...(proposal.validation && { validation: proposal.validation })
         });
+        if (run) {
+          await this.runManager.markCompleted(run, proposal.index);
+        }
         
-        console.log(chalk.green(`✅ Modified: ${recommendation.filePath}`));
+        const verb = proposal.action === 'delete' ? 'Deleted' : proposal.existed ? 'Modified' : 'Created';
+        console.log(chalk.green(`✅ ${verb}: ${proposal.file}`));
         
       } catch (error) {
         changes.push({
-          file: recommendation.filePath,
-          action: recommendation.action,
+          file: proposal.file,
+          action: proposal.action,
+          area: proposal.area,
           success: false,
           error: error.message
         });
         
-        console.log(chalk.red(`❌ Failed: ${recommendation.filePath} - ${error.message}`));
+        console.log(chalk.red(`❌ Failed: ${proposal.file} - ${error.message}`));
       }
     }
-
+    
     return changes;
   }
 
-  async applyFileChanges(currentContent, recommendation) {
+  async applyFileChanges(currentContent, recommendation, run = null) {
+    // New or empty files are written whole; existing code is only ever patched
+    if (!currentContent.trim()) {
+      return this.createFileContent(recommendation, run);
+    }
+    
+    const guidelines = this.formatAreaInstructions([recommendation.area]);
+    const task = `Required changes (${recommendation.area}):\n${recommendation.description}${guidelines ? `\n\nGuidelines:\n${guidelines}` : ''}`;
+    return this.requestEdit(currentContent, recommendation.filePath, task, 'edit', run);
+  }
+
+  // Ask for SEARCH/REPLACE blocks against `currentContent` and apply them
+  async requestEdit(currentContent, filePath, task, step, run = null) {
     const prompt = `
-Current file content:
+File: ${filePath}
 \`\`\`
-${currentContent}
+${this.redact(filePath, currentContent)}
 \`\`\`
 
-Required changes:
-${recommendation.changes}
+${this.redact(null, task)}
 
-Please provide the complete modified file content with all changes applied. Make sure to:
-1. Preserve existing functionality
-2. Add the required Weam integration code
-3. Maintain proper code formatting
-4. Include necessary imports
-5. Follow best practices
+Describe the changes as one or more SEARCH/REPLACE blocks:
 
-Return only the complete file content, no explanations.
-`;
+<<<<<<< SEARCH
+lines copied exactly from the current file
+=======
+the lines that replace them
+>>>>>>> REPLACE
 
-    const response = await this.openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert code editor. Apply the requested changes to the file while preserving existing functionality. Return only the complete modified file content."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.1
-    });
+Rules:
+1. SEARCH must copy existing lines exactly, including indentation and comments
+2. Include just enough lines for each SEARCH to match one place in the file
+3. Use separate blocks for separate places; list them in file order
+4. To add imports, replace an existing import line with itself plus the new lines
+5. Do not return the whole file and do not add explanations
+`;
 
-    return response.choices[0].message.content;
+    const messages = [
+      {
+        role: "system",
+        content: "You are an expert code editor. Make the smallest edits that apply the requested changes while preserving existing functionality. Reply only with SEARCH/REPLACE blocks."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ];
+    
+    const fileHash = crypto.createHash('sha256').update(currentContent).digest('hex');
+    const { content } = await this.callModel({ messages, fileHash });
+    if (run) {
+      this.runManager.recordPrompt(run, step, filePath, messages, content);
+    }
+    
+    const blocks = this.patchApplier.parseBlocks(this.restoreSecrets(content));
+    if (blocks.length === 0) {
+      throw new Error('AI response did not contain any SEARCH/REPLACE blocks');
+    }
+    
+    // Any block whose anchor is missing or ambiguous rejects the whole edit
+    return this.patchApplier.applyBlocks(currentContent, blocks).content;
   }
 
-  parseAIResponse(response) {
-    const recommendations = [];
-    const lines = response.split('\n');
+  // Parse, lint and type-check the proposed file, sending failures back to the model
+  async validateAndRepair(proposal, run = null) {
+    const validate = () => this.codeValidator.validate(proposal.file, proposal.newContent, proposal.currentContent);
+    let errors = await validate();
+    let attempts = 0;
     
-    let currentRecommendation = null;
+    while (errors.length > 0 && attempts < this.maxRepairAttempts) {
+      attempts++;
+      const task = `This file fails these checks after your last edit:\n${this.codeValidator.formatErrors(errors)}\n\nFix these errors without changing anything else.`;
+      
+      try {
+        proposal.newContent = await this.requestEdit(proposal.newContent, proposal.file, task, 'repair', run);
+      } catch (error) {
+        // A repair that does not apply still uses up an attempt
+        continue;
+      }
+      errors = await validate();
+    }
     
-    for (const line of lines) {
-      if (line.startsWith('File:')) {
-        if (currentRecommendation) {
-          recommendations.push(currentRecommendation);
-        }
-        currentRecommendation = {
-          filePath: line.replace('File:', '').trim(),
-          action: 'modify',
-          changes: ''
-        };
-      } else if (currentRecommendation && line.trim()) {
-        currentRecommendation.changes += line + '\n';
+    proposal.validation = { passed: errors.length === 0, repairAttempts: attempts, errors };
+    if (errors.length > 0) {
+      throw new Error(`Still fails checks after ${attempts} repair attempt(s), original kept:\n${this.codeValidator.formatErrors(errors)}`);
+    }
+  }
+
+  async createFileContent(recommendation, run = null) {
+    const guidelines = this.formatAreaInstructions([recommendation.area]);
+    const prompt = `
+Create the file ${recommendation.filePath} (${recommendation.area}):
+${recommendation.description}
+${guidelines ? `\nGuidelines:\n${guidelines}\n` : ''}
+Make sure to:
+1. Add the required Weam integration code
+2. Include necessary imports
+3. Follow the conventions of the rest of the app
+
+Return only the file content, no explanations.
+`;
+
+    const messages = [
+      {
+        role: "system",
+        content: "You are an expert developer. Write the requested file. Return only the file content."
+      },
+      {
+        role: "user",
+        content: prompt
       }
+    ];
+    
+    const { content } = await this.callModel({ messages });
+    if (run) {
+      this.runManager.recordPrompt(run, 'create', recommendation.filePath, messages, content);
     }
     
-    if (currentRecommendation) {
-      recommendations.push(currentRecommendation);
+    return this.patchApplier.stripCodeFences(this.restoreSecrets(content));
+  }
+
+  parseAIResponse(response, actions) {
+    let data;
+    try {
+      data = extractJson(response);
+    } catch (error) {
+      return { valid: false, errors: [`Response is not valid JSON: ${error.message}`], recommendations: [] };
     }
     
-    return recommendations;
+    return validateRecommendations(data, actions);
   }
 
   getFileType(filePath) {
@@ -342,19 +892,36 @@ Return only the complete file content, no explanations.
     if (filePath.endsWith('.jsx')) return 'react';
     if (filePath.endsWith('.ts')) return 'typescript';
     if (filePath.endsWith('.tsx')) return 'react-ts';
+    if (filePath.endsWith('.vue')) return 'vue';
+    if (filePath.endsWith('.svelte')) return 'svelte';
     if (filePath.endsWith('.json')) return 'json';
     return 'unknown';
   }
 
-  generateSummary(changes) {
+  generateSummary(changes, usage = null) {
     const successful = changes.filter(c => c.success).length;
-    const failed = changes.filter(c => !c.success).length;
+    const rejected = changes.filter(c => c.rejected).length;
+    const failed = changes.filter(c => !c.success && !c.rejected && !c.blocked).length;
+    const blocked = changes.filter(c => c.blocked).map(c => ({ file: c.file, reason: c.error }));
+    const failedValidation = changes.filter(c => c.validation && !c.validation.passed).map(c => c.file);
+    
+    const byArea = {};
+    for (const change of changes) {
+      const area = change.area || 'other';
+      byArea[area] = byArea[area] || { successful: 0, failed: 0 };
+      byArea[area][change.success ? 'successful' : 'failed']++;
+    }
     
     return {
       total: changes.length,
       successful,
       failed,
-      files: changes.map(c => c.file)
+      rejected,
+      failedValidation,
+      blocked,
+      byArea,
+      files: changes.map(c => c.file),
+      ...(usage && { usage })
     };
   }
 }
@@ -0,0 +1,169 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const { parseSource } = require('../utils/parseSource');
+
+// Checks AI-edited files: always a parse, plus ESLint and a type-check when the app has them
+class CodeValidator {
+  constructor(appPath) {
+    this.appPath = appPath;
+    this.tools = null;
+  }
+
+  isCheckable(filePath) {
+    return /\.(js|jsx|mjs|cjs|ts|tsx|mts|cts|json)$/.test(filePath);
+  }
+
+  // Load ESLint and TypeScript from the app itself so its own versions and configs apply
+  loadTools() {
+    if (this.tools) {
+      return this.tools;
+    }
+    
+    const resolveFromApp = (name) => {
+      try {
+        return require(require.resolve(name, { paths: [this.appPath] }));
+      } catch (error) {
+        return null;
+      }
+    };
+    
+    const eslint = resolveFromApp('eslint');
+    const typescript = fs.pathExistsSync(path.join(this.appPath, 'tsconfig.json')) ? resolveFromApp('typescript') : null;
+    
+    this.tools = {
+      eslint: eslint && eslint.ESLint ? new eslint.ESLint({ cwd: this.appPath }) : null,
+      typescript
+    };
+    
+    return this.tools;
+  }
+
+  parseErrors(filePath, content) {
+    if (filePath.endsWith('.json')) {
+      try {
+        JSON.parse(content);
+        return [];
+      } catch (error) {
+        return [{ source: 'parse', message: error.message }];
+      }
+    }
+    
+    // Parsed the same way the scanner reads the file
+    try {
+      parseSource(filePath, content);
+      return [];
+    } catch (error) {
+      return [{
+        source: 'parse',
+        line: error.loc && error.loc.line,
+        column: error.loc && error.loc.column + 1,
+        message: error.message.replace(/\s*\(\d+:\d+\)$/, '')
+      }];
+    }
+  }
+
+  async lintErrors(filePath, content) {
+    const { eslint } = this.loadTools();
+    if (!eslint) {
+      return [];
+    }
+    
+    try {
+      const [result] = await eslint.lintText(content, { filePath: path.join(this.appPath, filePath) });
+      return (result ? result.messages : [])
+        .filter(message => message.severity === 2)
+        .map(message => ({
+          source: 'eslint',
+          line: message.line,
+          column: message.column,
+          message: message.ruleId ? `${message.message} (${message.ruleId})` : message.message
+        }));
+    } catch (error) {
+      // No usable ESLint config in the app
+      return [];
+    }
+  }
+
+  // Type-check one file against the app's tsconfig, reading the proposed content instead of the disk
+  typeErrors(filePath, content) {
+    const { typescript: ts } = this.loadTools();
+    if (!ts || !/\.(ts|tsx|mts|cts)$/.test(filePath)) {
+      return [];
+    }
+    
+    try {
+      const configPath = path.join(this.appPath, 'tsconfig.json');
+      const { config } = ts.readConfigFile(configPath, ts.sys.readFile);
+      const { options } = ts.parseJsonConfigFileContent(config || {}, ts.sys, this.appPath);
+      const target = path.join(this.appPath, filePath);
+      
+      const host = ts.createCompilerHost({ ...options, noEmit: true });
+      const getSourceFile = host.getSourceFile.bind(host);
+      const fileExists = host.fileExists.bind(host);
+      host.getSourceFile = (fileName, languageVersion, ...rest) => path.resolve(fileName) === target
+        ? ts.createSourceFile(fileName, content, languageVersion, true)
+        : getSourceFile(fileName, languageVersion, ...rest);
+      host.fileExists = (fileName) => path.resolve(fileName) === target || fileExists(fileName);
+      
+      const program = ts.createProgram([target], { ...options, noEmit: true }, host);
+      const sourceFile = program.getSourceFile(target);
+      const diagnostics = [
+        ...program.getSyntacticDiagnostics(sourceFile),
+        ...program.getSemanticDiagnostics(sourceFile)
+      ];
+      
+      return diagnostics
+        .filter(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error)
+        .map(diagnostic => {
+          const position = diagnostic.file && diagnostic.start !== undefined
+            ? diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+            : null;
+          return {
+            source: 'tsc',
+            line: position && position.line + 1,
+            column: position && position.character + 1,
+            message: `${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')} (TS${diagnostic.code})`
+          };
+        });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async check(filePath, content) {
+    if (!this.isCheckable(filePath)) {
+      return [];
+    }
+    
+    // Lint and type errors mean little while the file does not even parse
+    const parseErrors = this.parseErrors(filePath, content);
+    if (parseErrors.length > 0 || filePath.endsWith('.json')) {
+      return parseErrors;
+    }
+    
+    return [
+      ...(await this.lintErrors(filePath, content)),
+      ...this.typeErrors(filePath, content)
+    ];
+  }
+
+  // Only errors the edit introduced count; problems already in the original are not the model's to fix
+  async validate(filePath, newContent, originalContent = '') {
+    const errors = await this.check(filePath, newContent);
+    if (errors.length === 0 || !originalContent) {
+      return errors;
+    }
+    
+    const existing = new Set((await this.check(filePath, originalContent)).map(e => `${e.source}:${e.message}`));
+    return errors.filter(e => !existing.has(`${e.source}:${e.message}`));
+  }
+
+  formatErrors(errors) {
+    return errors
+      .map(e => `- ${e.source}${e.line ? ` line ${e.line}${e.column ? `:${e.column}` : ''}` : ''}: ${e.message}`)
+      .join('\n');
+  }
+}
+
+module.exports = CodeValidator;
@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ejs = require('ejs');
+
+const ExpressSessionCodemod = require('./codemods/ExpressSessionCodemod');
+const NextRouteAuthCodemod = require('./codemods/NextRouteAuthCodemod');
+const MongooseUserFieldsCodemod = require('./codemods/MongooseUserFieldsCodemod');
+const { relativeImport } = require('./codemods/astUtils');
+const { parseSource } = require('../utils/parseSource');
+
+// Deterministic half of hybrid mode: finds the well-known integration points and edits them without the model
+class CodemodRunner {
+  constructor(options = {}) {
+    this.outputDir = (options.outputDir || 'weam-integration').replace(/\\/g, '/').replace(/\/$/, '');
+    this.templatesDir = path.join(__dirname, '../templates');
+    this.codemods = [new ExpressSessionCodemod(), new NextRouteAuthCodemod(), new MongooseUserFieldsCodemod()];
+    
+    // Support files the codemods import, rendered from the generator templates
+    this.helpers = {
+      expressSession: { template: 'weamSession.ejs', file: 'middleware/weamSession.js', area: 'auth', description: 'Weam session middleware for Express' },
+      nextSession: { template: 'nextSession.ejs', file: 'lib/weamNextSession.js', area: 'auth', description: 'withWeamSession() wrapper for Next.js route handlers' },
+      database: { template: 'database.ejs', file: 'lib/db.js', area: 'database', description: 'weamUserFields and the MongoDB connection helper' }
+    };
+    
+    this.dependencies = {
+      auth: { 'iron-session': '^8.0.1' }
+    };
+  }
+
+  getHelperPath(helper) {
+    return `${this.outputDir}/${this.helpers[helper].file}`;
+  }
+
+  isEnabled(codemod, options) {
+    if (codemod.area === 'auth') return options.addAuth !== false;
+    if (codemod.area === 'database') return options.addDatabase !== false;
+    return true;
+  }
+
+  // Codemod recommendations in the same shape as the model's, plus what is left for the model
+  async plan(appPath, analysis, options = {}) {
+    const recommendations = [];
+    const unresolved = [];
+    const helpersNeeded = new Set();
+    // Areas where a codemod found its integration point, whether or not it still needs editing
+    const covered = new Set();
+    
+    for (const codemod of this.codemods.filter(c => this.isEnabled(c, options))) {
+      for (const file of analysis.files.filter(f => codemod.matches(f))) {
+        let result;
+        try {
+          result = codemod.detect(parseSource(file.path, file.content), file.content);
+        } catch (error) {
+          result = { unresolved: `could not be parsed (${error.message})` };
+        }
+        
+        if (!result) {
+          covered.add(codemod.area);
+          continue;
+        }
+        
+        if (result.unresolved) {
+          unresolved.push({ area: codemod.area, file: file.path, reason: result.unresolved });
+          continue;
+        }
+        
+        covered.add(codemod.area);
+        helpersNeeded.add(codemod.helper);
+        recommendations.push({
+          filePath: file.path,
+          action: 'modify',
+          area: codemod.area,
+          rationale: `Deterministic ${codemod.name} codemod`,
+          description: result.description,
+          codemod: codemod.name
+        });
+      }
+    }
+    
+    for (const helper of helpersNeeded) {
+      const filePath = this.getHelperPath(helper);
+      if (await fs.pathExists(path.join(appPath, filePath))) continue;
+      
+      recommendations.unshift({
+        filePath,
+        action: 'create',
+        area: this.helpers[helper].area,
+        rationale: 'Support file imported by the codemod edits',
+        description: this.helpers[helper].description,
+        codemod: `helper:${helper}`
+      });
+    }
+    
+    const dependencies = this.getMissingDependencies(analysis, recommendations);
+    if (Object.keys(dependencies).length > 0) {
+      recommendations.push({
+        filePath: 'package.json',
+        action: 'modify',
+        area: 'auth',
+        rationale: 'The Weam session helpers need these packages',
+        description: `Add ${Object.keys(dependencies).join(', ')} to dependencies`,
+        codemod: 'dependencies'
+      });
+    }
+    
+    // Areas no codemod covered still need the model
+    if (options.addAuth !== false && !covered.has('auth') && !unresolved.some(u => u.area === 'auth')) {
+      unresolved.push({ area: 'auth', reason: 'no Express app or unprotected Next.js route handlers the codemods recognize' });
+    }
+    if (options.addDatabase !== false && analysis.hasDatabase && !covered.has('database') && !unresolved.some(u => u.area === 'database')) {
+      unresolved.push({ area: 'database', reason: 'no Mongoose schemas the codemods can update' });
+    }
+    if (options.addBranding !== false) {
+      unresolved.push({ area: 'branding', reason: 'branding has no codemod' });
+    }
+    
+    return { recommendations, unresolved };
+  }
+
+  getMissingDependencies(analysis, recommendations) {
+    const packageJson = analysis.packageJson || {};
+    const installed = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const missing = {};
+    
+    for (const area of new Set(recommendations.map(r => r.area))) {
+      for (const [name, version] of Object.entries(this.dependencies[area] || {})) {
+        if (!installed[name]) {
+          missing[name] = version;
+        }
+      }
+    }
+    
+    return missing;
+  }
+
+  // New content for a codemod recommendation, computed from the file as it is now
+  async apply(recommendation, currentContent, options = {}) {
+    if (recommendation.codemod.startsWith('helper:')) {
+      const helper = this.helpers[recommendation.codemod.slice('helper:'.length)];
+      const template = await fs.readFile(path.join(this.templatesDir, helper.template), 'utf8');
+      return ejs.render(template, { appName: options.appName || 'My App' });
+    }
+    
+    if (recommendation.codemod === 'dependencies') {
+      const packageJson = JSON.parse(currentContent);
+      const missing = this.getMissingDependencies({ packageJson }, [recommendation]);
+      packageJson.dependencies = { ...packageJson.dependencies, ...missing };
+      const indent = (currentContent.match(/^[ \t]+/m) || ['  '])[0];
+      return JSON.stringify(packageJson, null, indent) + '\n';
+    }
+    
+    const codemod = this.codemods.find(c => c.name === recommendation.codemod);
+    if (!codemod) {
+      throw new Error(`Unknown codemod "${recommendation.codemod}"`);
+    }
+    
+    const importFrom = relativeImport(recommendation.filePath, this.getHelperPath(codemod.helper));
+    return codemod.apply(parseSource(recommendation.filePath, currentContent), currentContent, importFrom);
+  }
+}
+
+module.exports = CodemodRunner;
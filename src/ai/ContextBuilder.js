@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Picks the files most relevant to a Weam integration and fits them into a token budget
+class ContextBuilder {
+  constructor(options = {}) {
+    this.budget = options.maxTokens || 12000;
+    // No single file may take more than this share of the budget before it is outlined
+    this.maxFileShare = options.maxFileShare || 0.35;
+    
+    this.rules = [
+      { score: 100, reason: 'package manifest', test: (file) => file.path === 'package.json' },
+      { score: 90, reason: 'API route', test: (file) => /(^|\/)(api|routes)\//.test(file.path) || /(^|\/)route\.(js|ts)$/.test(file.path) },
+      { score: 85, reason: 'session config', test: (file) => /(^|\/)middleware\.(js|ts)$/.test(file.path) || /session|iron|auth/i.test(path.basename(file.path)) },
+      { score: 85, reason: 'layout/root component', test: (file) => /(^|\/)(app\/layout|pages\/_app|pages\/_document|src\/App|src\/main|src\/index|src\/routes\/\+layout)\.(js|jsx|ts|tsx|vue|svelte)$/.test(file.path) },
+      { score: 80, reason: 'server entry', test: (file) => /^(server|app|index)\.(js|ts)$/.test(file.path) },
+      { score: 80, reason: 'data model', test: (file) => /(^|\/)(models|schemas)\//.test(file.path) || file.path.endsWith('schema.prisma') },
+      { score: 50, reason: 'database helper', test: (file) => /(^|\/)lib\/(db|mongo|mongodb|prisma)/i.test(file.path) },
+      { score: 40, reason: 'framework config', test: (file) => /(^|\/)(next|vite|nuxt|svelte)\.config\.(js|ts|mjs)$/.test(file.path) },
+      { score: 20, reason: 'component', test: (file) => /(^|\/)components\//.test(file.path) }
+    ];
+    
+    // Content hints per integration area add to the path score
+    this.areaHints = {
+      addAuth: /iron-session|getSession|passport|jsonwebtoken|next-auth|cookie/,
+      addDatabase: /mongoose|prisma|sequelize|typeorm|drizzle|MongoClient/,
+      addBranding: /<nav|<header|<Header|<Navbar|<Layout|<body/
+    };
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  scoreFile(file, options = {}) {
+    const rule = this.rules.find(r => r.test(file));
+    let score = rule ? rule.score : 10;
+    const reasons = [rule ? rule.reason : 'source file'];
+    
+    for (const [option, hint] of Object.entries(this.areaHints)) {
+      if (options[option] !== false && hint.test(file.content)) {
+        score += 10;
+        reasons.push(`${option.replace('add', '').toLowerCase()} code`);
+      }
+    }
+    
+    return { score, reason: reasons.join(', ') };
+  }
+
+  rankFiles(files, options = {}) {
+    return files
+      .map(file => ({ ...file, ...this.scoreFile(file, options) }))
+      .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  }
+
+  // Keep only the lines that describe a file's shape: imports, exports, declarations, routes
+  summarize(content) {
+    const outline = /^\s*(import |export |const \w+ = require|module\.exports|(async )?function |class |interface |type \w+ =|model \w+|(app|router)\.(get|post|put|patch|delete|use|route)\(|const \w+ = (new )?(mongoose\.)?(Schema|model)\b)/;
+    
+    return content
+      .split('\n')
+      .map((line, index) => ({ line, number: index + 1 }))
+      .filter(({ line }) => outline.test(line))
+      .map(({ line, number }) => `${number}: ${line}`)
+      .join('\n');
+  }
+
+  truncate(text, maxTokens) {
+    const maxChars = maxTokens * 4;
+    return text.length <= maxChars ? text : text.slice(0, maxChars) + '\n... (truncated)';
+  }
+
+  build(files, options = {}) {
+    const budget = options.maxTokens || this.budget;
+    const perFileLimit = Math.floor(budget * this.maxFileShare);
+    const included = [];
+    const omitted = [];
+    let used = 0;
+    
+    for (const file of this.rankFiles(files, options)) {
+      const remaining = budget - used;
+      let mode = 'full';
+      let body = file.content;
+      
+      if (this.estimateTokens(body) > perFileLimit) {
+        mode = 'outline';
+        body = this.summarize(file.content);
+      }
+      
+      if (this.estimateTokens(body) > Math.min(remaining, perFileLimit)) {
+        // Worth sending a partial view only for high-value files
+        if (file.score < 50 || remaining < 200) {
+          omitted.push(file.path);
+          continue;
+        }
+        mode = mode === 'outline' ? 'outline-truncated' : 'truncated';
+        body = this.truncate(body, Math.min(remaining, perFileLimit));
+      }
+      
+      const tokens = this.estimateTokens(body);
+      used += tokens;
+      included.push({
+        path: file.path,
+        score: file.score,
+        reason: file.reason,
+        mode,
+        tokens,
+        hash: crypto.createHash('sha256').update(file.content).digest('hex'),
+        body
+      });
+    }
+    
+    return {
+      budget,
+      totalTokens: used,
+      files: included,
+      omitted,
+      text: included.map(file => `### ${file.path} (${file.mode})\n\`\`\`\n${file.body}\n\`\`\``).join('\n\n')
+    };
+  }
+
+  // What was sent, without the file bodies, for the run manifest
+  describe(context) {
+    return {
+      budget: context.budget,
+      totalTokens: context.totalTokens,
+      files: context.files.map(({ body, ...file }) => file),
+      omitted: context.omitted
+    };
+  }
+}
+
+module.exports = ContextBuilder;
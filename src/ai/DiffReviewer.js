@@ -0,0 +1,200 @@
+const Diff = require('diff');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+
+// Shows proposed AI edits as unified diffs and lets the user pick hunks
+class DiffReviewer {
+  constructor(options = {}) {
+    this.context = options.context || 3;
+  }
+
+  createPatch(filePath, currentContent, newContent) {
+    return Diff.structuredPatch(filePath, filePath, currentContent, newContent, '', '', {
+      context: this.context
+    });
+  }
+
+  createUnifiedPatch(proposal) {
+    return Diff.createTwoFilesPatch(
+      proposal.existed ? `a/${proposal.file}` : '/dev/null',
+      proposal.action === 'delete' ? '/dev/null' : `b/${proposal.file}`,
+      proposal.currentContent,
+      proposal.newContent,
+      '',
+      '',
+      { context: this.context }
+    );
+  }
+
+  formatHunk(hunk) {
+    const header = chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    const lines = hunk.lines.map(line => {
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      if (line.startsWith('\\')) return chalk.gray(line);
+      return chalk.white(line);
+    });
+    
+    return [header, ...lines].join('\n');
+  }
+
+  formatFileHeader(proposal) {
+    const label = proposal.action === 'delete' ? 'delete' : proposal.existed ? 'modify' : 'create';
+    return [
+      chalk.bold(`diff --weamint a/${proposal.file} b/${proposal.file} (${label})`),
+      chalk.red(`--- ${proposal.existed ? `a/${proposal.file}` : '/dev/null'}`),
+      chalk.green(`+++ ${proposal.action === 'delete' ? '/dev/null' : `b/${proposal.file}`}`)
+    ].join('\n');
+  }
+
+  printPatch(proposal) {
+    const patch = this.createPatch(proposal.file, proposal.currentContent, proposal.newContent);
+    
+    console.log('\n' + this.formatFileHeader(proposal));
+    if (patch.hunks.length === 0) {
+      console.log(chalk.gray('   (no changes)'));
+    }
+    patch.hunks.forEach(hunk => console.log(this.formatHunk(hunk)));
+    
+    return patch;
+  }
+
+  // Print every proposed change without asking anything (dry run)
+  printAll(proposals) {
+    for (const proposal of proposals) {
+      if (proposal.error) {
+        console.log(chalk.red(`\n❌ ${proposal.file} - ${proposal.error}`));
+        continue;
+      }
+      this.printPatch(proposal);
+    }
+  }
+
+  // Turn a hunk into one whose "+" side is the text the user edited
+  rewriteHunk(hunk, editedText) {
+    const oldSide = hunk.lines.filter(line => line[0] === ' ' || line[0] === '-').map(line => line.slice(1));
+    const newSide = editedText.replace(/\n$/, '').split('\n');
+    
+    return {
+      ...hunk,
+      newLines: newSide.length,
+      lines: [
+        ...oldSide.map(line => `-${line}`),
+        ...newSide.map(line => `+${line}`)
+      ]
+    };
+  }
+
+  async editHunk(hunk) {
+    const proposed = hunk.lines
+      .filter(line => line[0] === ' ' || line[0] === '+')
+      .map(line => line.slice(1))
+      .join('\n');
+    
+    const { edited } = await inquirer.prompt([
+      {
+        type: 'editor',
+        name: 'edited',
+        message: 'Edit the proposed lines for this hunk:',
+        default: proposed + '\n'
+      }
+    ]);
+    
+    return this.rewriteHunk(hunk, edited);
+  }
+
+  async reviewProposal(proposal) {
+    const patch = this.printPatch(proposal);
+    
+    // Deleting is all or nothing
+    if (proposal.action === 'delete') {
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Delete ${proposal.file}?`,
+          default: false
+        }
+      ]);
+      
+      return { ...proposal, accepted: confirmed };
+    }
+    
+    const accepted = [];
+    let fileDecision = null;
+    
+    for (let i = 0; i < patch.hunks.length; i++) {
+      const hunk = patch.hunks[i];
+      
+      if (fileDecision === 'all') {
+        accepted.push(hunk);
+        continue;
+      }
+      if (fileDecision === 'none') {
+        continue;
+      }
+      
+      console.log('\n' + this.formatHunk(hunk));
+      const { decision } = await inquirer.prompt([
+        {
+          type: 'expand',
+          name: 'decision',
+          message: `${proposal.file} - hunk ${i + 1}/${patch.hunks.length}:`,
+          default: 0,
+          choices: [
+            { key: 'y', name: 'Accept this hunk', value: 'accept' },
+            { key: 'n', name: 'Reject this hunk', value: 'reject' },
+            { key: 'e', name: 'Edit this hunk', value: 'edit' },
+            { key: 'a', name: 'Accept this and all remaining hunks in the file', value: 'all' },
+            { key: 'd', name: 'Reject this and all remaining hunks in the file', value: 'none' }
+          ]
+        }
+      ]);
+      
+      if (decision === 'accept') {
+        accepted.push(hunk);
+      } else if (decision === 'edit') {
+        accepted.push(await this.editHunk(hunk));
+      } else if (decision === 'all') {
+        accepted.push(hunk);
+        fileDecision = 'all';
+      } else if (decision === 'none') {
+        fileDecision = 'none';
+      }
+    }
+    
+    if (accepted.length === 0) {
+      return { ...proposal, accepted: false, newContent: proposal.currentContent };
+    }
+    
+    const newContent = Diff.applyPatch(proposal.currentContent, { hunks: accepted });
+    if (newContent === false) {
+      return { ...proposal, accepted: false, error: 'Edited hunks no longer apply to the file' };
+    }
+    
+    return {
+      ...proposal,
+      accepted: true,
+      newContent,
+      hunks: { total: patch.hunks.length, accepted: accepted.length }
+    };
+  }
+
+  // Walk every proposal hunk by hunk; nothing is written here
+  async review(proposals) {
+    const reviewed = [];
+    
+    for (const proposal of proposals) {
+      if (proposal.error) {
+        console.log(chalk.red(`\n❌ ${proposal.file} - ${proposal.error}`));
+        reviewed.push(proposal);
+        continue;
+      }
+      reviewed.push(await this.reviewProposal(proposal));
+    }
+    
+    return reviewed;
+  }
+}
+
+module.exports = DiffReviewer;
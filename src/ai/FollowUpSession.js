@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { followUpSchema } = require('./recommendationSchema');
+
+// Follow-up requests on a finished AI run ("also protect /api/generate"), applied under the same run manifest
+class FollowUpSession {
+  constructor(integrator, appPath, options = {}) {
+    this.integrator = integrator;
+    this.appPath = appPath;
+    // Token budget for the diffs of the run so far
+    this.diffTokens = options.diffTokens || 12000;
+  }
+
+  async start(runId) {
+    await this.integrator.prepare(this.appPath);
+    this.runManager = this.integrator.runManager;
+    this.run = await this.runManager.loadRun(runId, run => run.status === 'completed', 'follow up on');
+    
+    if (this.run.status !== 'completed') {
+      throw new Error(`Run ${this.run.runId} cannot take follow-ups (status: ${this.run.status})`);
+    }
+    
+    this.run.followUps = this.run.followUps || [];
+    this.analysis = await this.integrator.analyzeApp(this.appPath);
+    // Same packs as the run itself, for runs that recorded them
+    await this.integrator.loadPrompts(
+      this.appPath,
+      this.run.promptPacks ? this.run.promptPacks.map(pack => pack.name) : this.integrator.promptPacks.selectNames(this.analysis),
+      this.run.options
+    );
+    
+    return this;
+  }
+
+  // What each file the run touched looks like now, against its original
+  async describeChanges() {
+    const patches = [];
+    
+    for (const entry of this.run.files.filter(f => f.newHash || f.deleted)) {
+      const original = await this.runManager.readOriginal(this.run, entry.path);
+      const filePath = path.join(this.appPath, entry.path);
+      const exists = await fs.pathExists(filePath);
+      
+      // Diff line numbers are not file line numbers; the findings come from the app scan
+      patches.push(this.integrator.redact(null, this.integrator.diffReviewer.createUnifiedPatch({
+        file: entry.path,
+        existed: original.existed,
+        action: exists ? 'modify' : 'delete',
+        currentContent: original.content || '',
+        newContent: exists ? await fs.readFile(filePath, 'utf8') : ''
+      })));
+    }
+    
+    if (patches.length === 0) {
+      return 'No files have been changed by this run.';
+    }
+    
+    return this.integrator.contextBuilder.truncate(patches.join('\n'), this.diffTokens);
+  }
+
+  describeRun() {
+    const options = this.run.options || {};
+    const plan = (this.run.recommendations || []).map(r => `- ${r.action} ${r.filePath} (${r.area}): ${r.rationale}`);
+    const prompts = this.run.prompts.map(p => `- ${p.step}${p.file ? ` ${p.file}` : ''}`);
+    const followUps = this.run.followUps.map(f =>
+      `- "${f.message}": ${f.changes.map(c => `${c.action} ${c.file} (${c.success ? 'applied' : c.rejected ? 'rejected' : 'failed'})`).join(', ') || 'no changes'}`
+    );
+    
+    return `
+## Integration Run ${this.run.runId}
+- App Name: ${options.appName || 'My App'}
+- Add Auth: ${options.addAuth !== false}
+- Add Database: ${options.addDatabase !== false}
+- Add Branding: ${options.addBranding !== false}
+
+## Scan Results
+- Framework: ${this.analysis.framework}
+- Has Auth: ${this.analysis.hasAuth}
+- Has Database: ${this.analysis.hasDatabase}
+- API Routes: ${this.analysis.apiRoutes.join(', ') || 'none'}
+- Models: ${this.analysis.models.join(', ') || 'none'}
+
+## Original Plan
+${plan.join('\n') || '- none'}
+
+## Prompts Used
+${prompts.join('\n') || '- none'}
+${followUps.length > 0 ? `
+## Earlier Follow-ups
+${followUps.join('\n')}
+` : ''}`;
+  }
+
+  async ask(message, options = {}) {
+    const prompt = `
+${this.integrator.prompts.context}
+${this.describeRun()}
+## Changes Applied So Far
+Unified diffs against the files as they were before the run.
+
+${await this.describeChanges()}
+
+## Follow-up Request
+${message}
+
+List only the file changes this request needs, with the same fields as before (filePath, action, area, rationale, description).
+Use action "revert" to put a whole file back the way it was before the run; it only works for files in the diffs above.
+To undo part of a file's changes, use "modify" and describe exactly what to remove.
+${this.integrator.provider.supportsTools ? '' : `
+Respond with JSON only, matching this schema:
+${JSON.stringify(followUpSchema.parameters, null, 2)}
+`}`;
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an expert developer specializing in Weam.ai integrations. You are refining an integration you already applied. Change only what the request asks for.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+    
+    const recommendations = await this.integrator.requestRecommendations(messages, this.run, followUpSchema, 'follow-up');
+    const changes = recommendations.length > 0
+      ? await this.integrator.applyAIChanges(this.appPath, recommendations, this.run, { appName: (this.run.options || {}).appName, ...options })
+      : [];
+    
+    // Dry-run follow-ups are previews; only applied ones become part of the run
+    const followUp = {
+      message,
+      createdAt: new Date().toISOString(),
+      dryRun: Boolean(options.dryRun),
+      recommendations,
+      changes: changes.map(change => ({
+        file: change.file,
+        action: change.action,
+        area: change.area,
+        success: change.success,
+        ...(change.rejected && { rejected: true }),
+        ...(change.error && { error: change.error })
+      }))
+    };
+    if (!options.dryRun) {
+      this.run.followUps.push(followUp);
+    }
+    // The run's own usage stays as it was; follow-ups are counted per session
+    this.run.followUpUsage = this.integrator.usageTracker.summary();
+    this.run.redactions = this.integrator.redactor.summary(this.run.redactions);
+    await this.runManager.saveManifest(this.run);
+    
+    return { ...followUp, changes };
+  }
+}
+
+module.exports = FollowUpSession;
@@ -0,0 +1,159 @@
+// Applies SEARCH/REPLACE edit blocks from the model, leaving everything else byte-for-byte intact
+
+const BLOCK_PATTERN = /<{5,9} SEARCH\r?\n([\s\S]*?)\r?\n?={5,9}\r?\n([\s\S]*?)\r?\n?>{5,9} REPLACE/g;
+
+class PatchApplier {
+  parseBlocks(response) {
+    const blocks = [];
+    let match;
+    
+    BLOCK_PATTERN.lastIndex = 0;
+    while ((match = BLOCK_PATTERN.exec(response)) !== null) {
+      blocks.push({ search: match[1], replace: match[2] });
+    }
+    
+    return blocks;
+  }
+
+  // Drop Markdown code fences the model wraps around whole-file answers
+  stripCodeFences(text) {
+    const fenced = text.match(/^\s*```[\w-]*\r?\n([\s\S]*?)\r?\n```\s*$/);
+    return fenced ? fenced[1] + '\n' : text;
+  }
+
+  // Every [start, end) character range where the lines of `search` occur in `content`; a line's
+  // '\r' is left out of the range, so CRLF lines keep their ending
+  findLineMatches(content, search, normalize) {
+    const lines = content.split('\n');
+    const searchLines = search.split('\n').map(normalize);
+    const offsets = [];
+    let offset = 0;
+    
+    for (const line of lines) {
+      offsets.push(offset);
+      offset += line.length + 1;
+    }
+    
+    const matches = [];
+    for (let i = 0; i + searchLines.length <= lines.length; i++) {
+      let matched = true;
+      for (let j = 0; j < searchLines.length; j++) {
+        if (normalize(lines[i + j]) !== searchLines[j]) {
+          matched = false;
+          break;
+        }
+      }
+      
+      if (matched) {
+        const lastLine = i + searchLines.length - 1;
+        matches.push({
+          start: offsets[i],
+          end: offsets[lastLine] + lines[lastLine].replace(/\r$/, '').length,
+          firstLine: lines[i]
+        });
+      }
+    }
+    
+    return matches;
+  }
+
+  // Exact text first (with either line ending), then ignoring trailing whitespace, then ignoring indentation
+  locate(content, search) {
+    const exact = [];
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\n/g, '\r?\n'), 'g');
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      exact.push({ start: match.index, end: match.index + match[0].length, strategy: 'exact' });
+      pattern.lastIndex = match.index + 1;
+    }
+    if (exact.length > 0) {
+      return exact;
+    }
+    
+    const strategies = [
+      { name: 'trailing-whitespace', normalize: (line) => line.replace(/\s+$/, '') },
+      { name: 'indentation', normalize: (line) => line.trim() }
+    ];
+    
+    for (const strategy of strategies) {
+      const matches = this.findLineMatches(content, search, strategy.normalize);
+      if (matches.length > 0) {
+        return matches.map(match => ({ ...match, strategy: strategy.name }));
+      }
+    }
+    
+    return [];
+  }
+
+  // Shift the replacement by however much the file's indentation differs from the SEARCH text
+  reindent(replace, search, firstLine) {
+    const indentOf = (line) => line.match(/^\s*/)[0];
+    const searchIndent = indentOf(search.split('\n').find(line => line.trim()) || '');
+    const fileIndent = indentOf(firstLine);
+    
+    if (searchIndent === fileIndent) {
+      return replace;
+    }
+    
+    return replace
+      .split('\n')
+      .map(line => {
+        if (!line.trim()) return line;
+        return line.startsWith(searchIndent) ? fileIndent + line.slice(searchIndent.length) : fileIndent + line.trimStart();
+      })
+      .join('\n');
+  }
+
+  // Blocks are matched against the raw text, so lines they do not touch keep their own endings
+  applyBlocks(content, blocks) {
+    let result = content;
+    const applied = [];
+    
+    for (const [i, block] of blocks.entries()) {
+      const search = block.search.replace(/\r\n/g, '\n');
+      let replace = block.replace.replace(/\r\n/g, '\n');
+      
+      // An empty SEARCH only makes sense for an empty file
+      if (!search.trim()) {
+        if (result.trim()) {
+          throw new Error(`Edit block ${i + 1} has an empty SEARCH section but the file is not empty`);
+        }
+        result = replace.endsWith('\n') ? replace : replace + '\n';
+        applied.push({ block: i + 1, strategy: 'create' });
+        continue;
+      }
+      
+      const matches = this.locate(result, search);
+      if (matches.length === 0) {
+        throw new Error(`Edit block ${i + 1} does not match the file:\n${search.split('\n').slice(0, 3).join('\n')}`);
+      }
+      if (matches.length > 1) {
+        throw new Error(`Edit block ${i + 1} matches ${matches.length} places; it needs more context to be unique`);
+      }
+      
+      const [match] = matches;
+      if (match.strategy === 'indentation') {
+        replace = this.reindent(replace, search, match.firstLine);
+      }
+      
+      // Each replacement line takes the ending of the line it replaces; extra lines repeat the last one
+      const endings = result.slice(match.start, match.end).match(/\r?\n/g) || [];
+      const fallback = endings[endings.length - 1] || (result.startsWith('\r\n', match.end) ? '\r\n' : '\n');
+      replace = replace.split('\n').reduce((text, line, j) => j === 0 ? line : text + (endings[j - 1] || fallback) + line, '');
+      
+      // An empty REPLACE deletes the matched lines, not just their text
+      let end = match.end;
+      if (!replace && (match.start === 0 || result[match.start - 1] === '\n')) {
+        const ending = result.slice(end).match(/^\r?\n/);
+        end += ending ? ending[0].length : 0;
+      }
+
+      result = result.slice(0, match.start) + replace + result.slice(end);
+      applied.push({ block: i + 1, strategy: match.strategy });
+    }
+    
+    return { content: result, applied };
+  }
+}
+
+module.exports = PatchApplier;
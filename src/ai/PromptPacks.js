@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const FrameworkDetector = require('../scanner/FrameworkDetector');
+
+// Only these lowercase headings split a pack; any other heading (such as "## Branding") is part of the section text
+const SECTIONS = ['context', 'auth', 'database', 'branding', 'proxy'];
+
+// Built-in pack for each detected framework; meta-frameworks use the pack of the UI library they build on
+const FRAMEWORK_PACKS = {
+  'next.js': 'nextjs',
+  remix: 'react',
+  nuxt: 'vue',
+  sveltekit: 'svelte',
+  react: 'react',
+  vue: 'vue',
+  svelte: 'svelte',
+  express: 'express'
+};
+
+// Markdown prompt packs: built in under src/prompts, overridable section by section from the app
+class PromptPacks {
+  constructor(options = {}) {
+    this.builtInDir = path.join(__dirname, '../prompts');
+    this.projectDirName = options.dir || 'weamint-prompts';
+    this.frameworkDetector = new FrameworkDetector();
+  }
+
+  getProjectDir(appPath) {
+    return path.resolve(appPath, this.projectDirName);
+  }
+
+  parse(text) {
+    const pack = { title: null, sections: {} };
+    let current = null;
+    
+    for (const line of text.split(/\r?\n/)) {
+      const heading = line.match(/^##\s+(\w+)\s*$/);
+      if (heading && SECTIONS.includes(heading[1])) {
+        current = heading[1];
+        pack.sections[current] = [];
+      } else if (current) {
+        pack.sections[current].push(line);
+      } else if (!pack.title && /^#\s+/.test(line)) {
+        pack.title = line.replace(/^#\s+/, '').trim();
+      }
+    }
+    
+    for (const [name, lines] of Object.entries(pack.sections)) {
+      pack.sections[name] = lines.join('\n').trim();
+    }
+    
+    return pack;
+  }
+
+  async readPack(dir, name) {
+    const filePath = path.join(dir, `${name}.md`);
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+    
+    return { ...this.parse(await fs.readFile(filePath, 'utf8')), filePath };
+  }
+
+  // The built-in pack with the project's sections laid over it
+  async loadPack(appPath, name) {
+    const builtIn = await this.readPack(this.builtInDir, name);
+    const project = await this.readPack(this.getProjectDir(appPath), name);
+    if (!builtIn && !project) {
+      return null;
+    }
+    
+    return {
+      name,
+      title: (project && project.title) || (builtIn && builtIn.title) || name,
+      sections: { ...(builtIn && builtIn.sections), ...(project && project.sections) },
+      source: project ? (builtIn ? 'overridden' : 'project') : 'built-in'
+    };
+  }
+
+  async list(appPath) {
+    const names = new Set();
+    for (const dir of [this.builtInDir, this.getProjectDir(appPath)]) {
+      if (await fs.pathExists(dir)) {
+        (await fs.readdir(dir)).filter(file => file.endsWith('.md')).forEach(file => names.add(file.slice(0, -3)));
+      }
+    }
+    
+    const packs = [];
+    for (const name of [...names].sort()) {
+      packs.push(await this.loadPack(appPath, name));
+    }
+    
+    return packs;
+  }
+
+  // The Weam base pack, the detected framework, then the bundler when it changes how the app is served
+  // `analysis.frameworkCandidates` is the ranked FrameworkDetector result
+  selectNames(analysis) {
+    const candidates = analysis.frameworkCandidates || [];
+    const names = ['weam'];
+    
+    // Vite can outrank the UI library it serves, so the framework is the best candidate that has a pack
+    const framework = this.frameworkDetector.pick(candidates.filter(candidate => FRAMEWORK_PACKS[candidate.framework]));
+    if (framework) {
+      names.push(FRAMEWORK_PACKS[framework.framework]);
+    }
+    const bundler = this.frameworkDetector.pick(candidates.filter(candidate => candidate.framework === 'vite'));
+    if (bundler && !(framework && framework.framework === 'next.js')) {
+      names.push('vite');
+    }
+    
+    return names;
+  }
+
+  // Sections from every selected pack, limited to the integration areas that are enabled
+  async load(appPath, names, options = {}) {
+    const enabled = {
+      context: true,
+      auth: options.addAuth !== false,
+      database: options.addDatabase !== false,
+      branding: options.addBranding !== false,
+      proxy: true
+    };
+    
+    const packs = (await Promise.all(names.map(name => this.loadPack(appPath, name)))).filter(Boolean);
+    const sections = {};
+    
+    for (const section of SECTIONS.filter(s => enabled[s])) {
+      const parts = packs.filter(pack => pack.sections[section]).map(pack => pack.sections[section]);
+      if (parts.length > 0) {
+        sections[section] = parts.join('\n\n');
+      }
+    }
+    
+    return {
+      packs: packs.map(pack => ({ name: pack.name, source: pack.source })),
+      context: sections.context || '',
+      areas: Object.fromEntries(Object.entries(sections).filter(([section]) => section !== 'context'))
+    };
+  }
+
+  // Copy a built-in pack into the app so it can be edited
+  async eject(appPath, name) {
+    const source = path.join(this.builtInDir, `${name}.md`);
+    if (!(await fs.pathExists(source))) {
+      throw new Error(`No built-in prompt pack "${name}"`);
+    }
+    
+    const target = path.join(this.getProjectDir(appPath), `${name}.md`);
+    if (await fs.pathExists(target)) {
+      throw new Error(`${path.relative(appPath, target)} already exists`);
+    }
+    
+    await fs.copy(source, target);
+    return target;
+  }
+}
+
+module.exports = PromptPacks;
@@ -0,0 +1,290 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keeps originals and a manifest for every AI run under <app>/.weamint/runs/<runId>
+class RunManager {
+  constructor(appPath) {
+    this.appPath = appPath;
+    this.runsDir = path.join(appPath, '.weamint', 'runs');
+  }
+
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  async hashFile(filePath) {
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+    
+    return this.hash(await fs.readFile(filePath));
+  }
+
+  createRunId() {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+    return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  getRunDir(runId) {
+    return path.join(this.runsDir, runId);
+  }
+
+  async startRun(options = {}) {
+    const run = {
+      runId: this.createRunId(),
+      createdAt: new Date().toISOString(),
+      status: 'in-progress',
+      options,
+      files: [],
+      prompts: []
+    };
+    
+    await fs.ensureDir(path.join(this.getRunDir(run.runId), 'originals'));
+    await this.saveManifest(run);
+    
+    return run;
+  }
+
+  async saveManifest(run) {
+    await fs.writeFile(
+      path.join(this.getRunDir(run.runId), 'manifest.json'),
+      JSON.stringify(run, null, 2)
+    );
+  }
+
+  recordPrompt(run, step, file, messages, response) {
+    run.prompts.push({
+      step,
+      file,
+      messages,
+      response,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Copy the original once per run, before the first write to that file
+  async backupFile(run, relativePath) {
+    const existing = run.files.find(f => f.path === relativePath);
+    if (existing) {
+      return existing;
+    }
+    
+    const filePath = path.join(this.appPath, relativePath);
+    const entry = {
+      path: relativePath,
+      existed: await fs.pathExists(filePath),
+      originalHash: null,
+      newHash: null
+    };
+    
+    if (entry.existed) {
+      entry.originalHash = await this.hashFile(filePath);
+      const backupPath = path.join(this.getRunDir(run.runId), 'originals', relativePath);
+      await fs.ensureDir(path.dirname(backupPath));
+      await fs.copy(filePath, backupPath);
+    }
+    
+    run.files.push(entry);
+    await this.saveManifest(run);
+    
+    return entry;
+  }
+
+  async writeFile(run, relativePath, content) {
+    const entry = await this.backupFile(run, relativePath);
+    const filePath = path.join(this.appPath, relativePath);
+    
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, content);
+    
+    entry.newHash = this.hash(content);
+    await this.saveManifest(run);
+  }
+
+  async removeFile(run, relativePath) {
+    const entry = await this.backupFile(run, relativePath);
+    
+    await fs.remove(path.join(this.appPath, relativePath));
+    
+    entry.deleted = true;
+    entry.newHash = null;
+    await this.saveManifest(run);
+  }
+
+  // A file as it was before the run first touched it; null if the run never wrote it
+  async readOriginal(run, relativePath) {
+    const entry = run.files.find(f => f.path === relativePath && (f.newHash || f.deleted));
+    if (!entry) {
+      return null;
+    }
+    
+    return {
+      existed: entry.existed,
+      content: entry.existed
+        ? await fs.readFile(path.join(this.getRunDir(run.runId), 'originals', relativePath), 'utf8')
+        : null
+    };
+  }
+
+  // Recommendations that were written or rejected; resuming skips them
+  async markCompleted(run, index) {
+    if (index === undefined) {
+      return;
+    }
+    
+    run.completed = run.completed || [];
+    if (!run.completed.includes(index)) {
+      run.completed.push(index);
+    }
+    await this.saveManifest(run);
+  }
+
+  async finishRun(run, status = 'completed') {
+    run.status = status;
+    run.finishedAt = new Date().toISOString();
+    await this.saveManifest(run);
+  }
+
+  async listRuns() {
+    if (!(await fs.pathExists(this.runsDir))) {
+      return [];
+    }
+    
+    const runIds = (await fs.readdir(this.runsDir)).sort();
+    const runs = [];
+    
+    for (const runId of runIds) {
+      const manifestPath = path.join(this.getRunDir(runId), 'manifest.json');
+      if (await fs.pathExists(manifestPath)) {
+        runs.push(await fs.readJson(manifestPath));
+      }
+    }
+    
+    return runs;
+  }
+
+  // A run that stopped part-way can still be undone as long as it wrote something
+  isUndoable(run) {
+    return run.status === 'completed' ||
+      (['in-progress', 'interrupted'].includes(run.status) && run.files.some(f => f.newHash || f.deleted));
+  }
+
+  // The given run, or the latest one `accept` allows (undoable runs by default)
+  async loadRun(runId, accept = (run) => this.isUndoable(run), purpose = 'undo') {
+    if (!runId) {
+      const runs = (await this.listRuns()).filter(accept);
+      if (runs.length === 0) {
+        throw new Error(`No AI runs to ${purpose} in ${this.runsDir}`);
+      }
+      return runs[runs.length - 1];
+    }
+    
+    const manifestPath = path.join(this.getRunDir(runId), 'manifest.json');
+    if (!(await fs.pathExists(manifestPath))) {
+      throw new Error(`Run not found: ${runId}`);
+    }
+    
+    return fs.readJson(manifestPath);
+  }
+
+  // The latest run (or the given one) that stopped part-way and recorded its plan
+  async loadResumableRun(runId) {
+    const resumable = (run) => ['in-progress', 'interrupted'].includes(run.status) && Array.isArray(run.recommendations);
+    
+    if (!runId) {
+      const runs = (await this.listRuns()).filter(resumable);
+      if (runs.length === 0) {
+        throw new Error(`No interrupted AI runs to resume in ${this.runsDir}`);
+      }
+      return runs[runs.length - 1];
+    }
+    
+    const run = await this.loadRun(runId);
+    if (!resumable(run)) {
+      throw new Error(`Run ${run.runId} cannot be resumed (status: ${run.status}${Array.isArray(run.recommendations) ? '' : ', no saved plan'})`);
+    }
+    
+    return run;
+  }
+
+  // Files whose current content no longer matches what the run wrote
+  async findConflicts(run) {
+    const conflicts = [];
+    
+    for (const entry of run.files) {
+      if (!entry.newHash && !entry.deleted) {
+        continue;
+      }
+      
+      // A deleted file must still be absent
+      const currentHash = await this.hashFile(path.join(this.appPath, entry.path));
+      if (currentHash !== entry.newHash) {
+        conflicts.push(entry.path);
+      }
+    }
+    
+    return conflicts;
+  }
+
+  async restoreFiles(run) {
+    const restored = [];
+    
+    for (const entry of run.files) {
+      if (!entry.newHash && !entry.deleted) {
+        continue;
+      }
+      
+      const filePath = path.join(this.appPath, entry.path);
+      
+      if (entry.existed) {
+        await fs.copy(path.join(this.getRunDir(run.runId), 'originals', entry.path), filePath);
+      } else {
+        await fs.remove(filePath);
+        await this.removeEmptyDirs(path.dirname(filePath));
+      }
+      
+      restored.push(entry.path);
+    }
+    
+    return restored;
+  }
+
+  // Drop directories left empty by removing a file the run created
+  async removeEmptyDirs(dir) {
+    while (dir.startsWith(this.appPath + path.sep) && (await fs.readdir(dir)).length === 0) {
+      await fs.remove(dir);
+      dir = path.dirname(dir);
+    }
+  }
+
+  async undo(runId) {
+    const run = await this.loadRun(runId);
+    
+    if (run.status === 'undone' || run.status === 'rolled-back') {
+      throw new Error(`Run ${run.runId} has already been ${run.status}`);
+    }
+    
+    const conflicts = await this.findConflicts(run);
+    if (conflicts.length > 0) {
+      const error = new Error(`Refusing to undo ${run.runId}: files changed since the run:\n  ${conflicts.join('\n  ')}`);
+      error.conflicts = conflicts;
+      throw error;
+    }
+    
+    const restored = await this.restoreFiles(run);
+    await this.finishRun(run, 'undone');
+    
+    return { runId: run.runId, restored };
+  }
+
+  // Put back everything written so far when a run fails part-way
+  async rollback(run) {
+    const restored = await this.restoreFiles(run);
+    await this.finishRun(run, 'rolled-back');
+    
+    return restored;
+  }
+}
+
+module.exports = RunManager;
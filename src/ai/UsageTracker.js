@@ -0,0 +1,87 @@
+// USD per million tokens [input, output]; the longest matching model prefix wins
+const MODEL_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4': [30, 60],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-opus': [15, 75]
+};
+
+// Local servers and the mock provider cost nothing
+const FREE_PROVIDERS = ['ollama', 'openai-compatible', 'mock'];
+
+// Adds up tokens and estimated cost for one AI run
+class UsageTracker {
+  constructor(llmConfig = {}) {
+    this.provider = llmConfig.provider;
+    this.model = llmConfig.model;
+    this.prices = llmConfig.pricing
+      ? [llmConfig.pricing.input, llmConfig.pricing.output]
+      : this.findPrices(llmConfig.provider, llmConfig.model);
+    
+    this.totals = {
+      requests: 0,
+      cachedRequests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cachedInputTokens: 0,
+      cachedOutputTokens: 0
+    };
+  }
+
+  findPrices(provider, model = '') {
+    if (FREE_PROVIDERS.includes(provider)) {
+      return [0, 0];
+    }
+    
+    const prefix = Object.keys(MODEL_PRICES)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    return prefix ? MODEL_PRICES[prefix] : null;
+  }
+
+  // null when the model's price is unknown
+  cost(inputTokens, outputTokens) {
+    if (!this.prices) {
+      return null;
+    }
+    
+    const [input, output] = this.prices;
+    return Math.round((inputTokens * input + outputTokens * output) / 100) / 1e4;
+  }
+
+  // Cache hits are counted separately and cost nothing
+  record(response) {
+    const usage = response.usage || {};
+    
+    this.totals.requests++;
+    if (response.cached) {
+      this.totals.cachedRequests++;
+      this.totals.cachedInputTokens += usage.inputTokens || 0;
+      this.totals.cachedOutputTokens += usage.outputTokens || 0;
+      return;
+    }
+    
+    this.totals.inputTokens += usage.inputTokens || 0;
+    this.totals.outputTokens += usage.outputTokens || 0;
+  }
+
+  summary() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      ...this.totals,
+      estimatedCost: this.cost(this.totals.inputTokens, this.totals.outputTokens)
+    };
+  }
+}
+
+module.exports = UsageTracker;
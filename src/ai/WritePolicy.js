@@ -0,0 +1,94 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ignore = require('ignore');
+const minimatch = require('minimatch');
+
+// Decides which paths the model may write; everything else is blocked and reported
+class WritePolicy {
+  constructor(appPath, options = {}) {
+    this.appPath = path.resolve(appPath);
+    this.ignoreFile = '.weamignore';
+    
+    // gitignore syntax, so later lines and .weamignore can re-include with "!"
+    this.defaultDeny = [
+      'node_modules/',
+      '.git/',
+      '.weamint/',
+      '.env',
+      '.env.*',
+      '!.env.example',
+      'package-lock.json',
+      'yarn.lock',
+      'pnpm-lock.yaml'
+    ];
+    
+    // An empty allow list means anything under the app root that is not denied
+    this.allow = options.allow || [];
+    this.deny = ignore().add(this.defaultDeny).add(options.deny || []);
+  }
+
+  async load() {
+    const ignorePath = path.join(this.appPath, this.ignoreFile);
+    if (await fs.pathExists(ignorePath)) {
+      this.deny.add(await fs.readFile(ignorePath, 'utf8'));
+    }
+    
+    return this;
+  }
+
+  // The path relative to the app root, or null if it points outside it
+  normalize(filePath) {
+    if (typeof filePath !== 'string' || !filePath.trim() || filePath.includes('\0')) {
+      return null;
+    }
+    
+    const unixPath = filePath.trim().replace(/\\/g, '/');
+    if (path.posix.isAbsolute(unixPath) || /^[a-zA-Z]:/.test(unixPath)) {
+      return null;
+    }
+    
+    const relativePath = path.posix.normalize(unixPath).replace(/^\.\//, '');
+    if (relativePath === '.' || relativePath === '..' || relativePath.startsWith('../')) {
+      return null;
+    }
+    
+    return relativePath;
+  }
+
+  // A symlinked directory inside the app can still point outside it
+  async escapesRoot(relativePath) {
+    const root = await fs.realpath(this.appPath);
+    let current = path.join(this.appPath, relativePath);
+    
+    // lstat so a dangling symlink counts as existing rather than being skipped over
+    while (!(await fs.lstat(current).then(() => true, () => false))) {
+      current = path.dirname(current);
+    }
+    
+    const real = await fs.realpath(current).catch(() => null);
+    return !real || (real !== root && !real.startsWith(root + path.sep));
+  }
+
+  async check(filePath) {
+    const relativePath = this.normalize(filePath);
+    if (!relativePath) {
+      return { allowed: false, path: filePath, reason: 'path is outside the app root' };
+    }
+    
+    if (await this.escapesRoot(relativePath)) {
+      return { allowed: false, path: relativePath, reason: 'path resolves outside the app root through a symlink' };
+    }
+    
+    if (this.deny.ignores(relativePath)) {
+      return { allowed: false, path: relativePath, reason: 'path matches the deny list' };
+    }
+    
+    if (this.allow.length > 0 && !this.allow.some(pattern => minimatch(relativePath, pattern, { dot: true }))) {
+      return { allowed: false, path: relativePath, reason: 'path is not in the allow list' };
+    }
+    
+    return { allowed: true, path: relativePath };
+  }
+}
+
+module.exports = WritePolicy;
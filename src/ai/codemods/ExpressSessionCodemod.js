@@ -0,0 +1,99 @@
+const { applyEdits, importEdit, lineOf } = require('./astUtils');
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'all', 'route', 'listen'];
+
+// Mounts weamSessionMiddleware() on an Express app, after its global middleware and before the first route
+class ExpressSessionCodemod {
+  constructor() {
+    this.name = 'express-session';
+    this.area = 'auth';
+    this.helper = 'expressSession';
+  }
+
+  matches(file) {
+    return /\.(js|mjs|cjs|ts)$/.test(file.path) && /\bexpress\s*\(\s*\)/.test(file.content);
+  }
+
+  // `const app = express()` at the top level of the file
+  findApp(ast) {
+    for (const statement of ast.program.body) {
+      if (statement.type !== 'VariableDeclaration') continue;
+      
+      for (const declarator of statement.declarations) {
+        const init = declarator.init;
+        if (declarator.id.type === 'Identifier' && init && init.type === 'CallExpression' &&
+          init.callee.type === 'Identifier' && init.callee.name === 'express' && init.arguments.length === 0) {
+          return { name: declarator.id.name, statement };
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  // app.<method>(...) as a top-level expression statement
+  getAppCall(statement, appName) {
+    const expression = statement.type === 'ExpressionStatement' && statement.expression;
+    const callee = expression && expression.type === 'CallExpression' && expression.callee;
+    
+    if (!callee || callee.type !== 'MemberExpression' || callee.object.type !== 'Identifier' ||
+      callee.object.name !== appName || callee.property.type !== 'Identifier') {
+      return null;
+    }
+    
+    return { method: callee.property.name, args: expression.arguments };
+  }
+
+  // The session must be in place before anything that handles a request
+  findAnchor(ast, app) {
+    const body = ast.program.body;
+    let anchor = app.statement;
+    
+    for (const statement of body.slice(body.indexOf(app.statement) + 1)) {
+      const call = this.getAppCall(statement, app.name);
+      if (!call) continue;
+      
+      const mountsPath = call.args.length > 0 && ['StringLiteral', 'TemplateLiteral'].includes(call.args[0].type);
+      if (ROUTE_METHODS.includes(call.method) || (call.method === 'use' && mountsPath)) {
+        break;
+      }
+      if (call.method === 'use') {
+        anchor = statement;
+      }
+    }
+    
+    return anchor;
+  }
+
+  detect(ast, content) {
+    if (content.includes('weamSessionMiddleware')) {
+      return null;
+    }
+    
+    const app = this.findApp(ast);
+    if (!app) {
+      return { unresolved: 'creates an Express app somewhere other than a top-level `const app = express()`' };
+    }
+    
+    return {
+      description: `Mount weamSessionMiddleware() on ${app.name} (line ${lineOf(this.findAnchor(ast, app))}) before the first route`
+    };
+  }
+
+  apply(ast, content, importFrom) {
+    const app = this.findApp(ast);
+    if (!app) {
+      throw new Error('No top-level Express app found');
+    }
+    
+    const anchor = this.findAnchor(ast, app);
+    const semi = content.slice(anchor.start, anchor.end).trim().endsWith(';') ? ';' : '';
+    
+    return applyEdits(content, [
+      importEdit(ast, content, ['weamSessionMiddleware'], importFrom),
+      { start: anchor.end, end: anchor.end, text: `\n\n// Weam session: sets req.session, req.user and req.companyId\n${app.name}.use(weamSessionMiddleware())${semi}` }
+    ]);
+  }
+}
+
+module.exports = ExpressSessionCodemod;
@@ -0,0 +1,129 @@
+const traverse = require('@babel/traverse').default;
+
+const { applyEdits, importEdit, indentAt, lineOf } = require('./astUtils');
+
+// Spreads weamUserFields into every Mongoose schema that the file compiles into a model
+class MongooseUserFieldsCodemod {
+  constructor() {
+    this.name = 'mongoose-user-fields';
+    this.area = 'database';
+    this.helper = 'database';
+  }
+
+  matches(file) {
+    return /\.(js|mjs|cjs|ts)$/.test(file.path) && /mongoose/.test(file.content) && /\bSchema\s*(<[^>]*>)?\s*\(/.test(file.content);
+  }
+
+  isSchemaConstructor(node) {
+    const callee = node.callee;
+    return (callee.type === 'Identifier' && callee.name === 'Schema') ||
+      (callee.type === 'MemberExpression' && callee.property.type === 'Identifier' && callee.property.name === 'Schema');
+  }
+
+  isModelCall(node) {
+    const callee = node.callee;
+    return (callee.type === 'Identifier' && callee.name === 'model') ||
+      (callee.type === 'MemberExpression' && callee.property.type === 'Identifier' && callee.property.name === 'model');
+  }
+
+  // Schemas passed to model(), either inline or through the variable they were assigned to
+  findSchemas(ast) {
+    const schemas = [];
+    const byVariable = new Map();
+    const compiled = [];
+    
+    traverse(ast, {
+      NewExpression: (nodePath) => {
+        if (!this.isSchemaConstructor(nodePath.node)) return;
+        
+        schemas.push(nodePath.node);
+        const parent = nodePath.parent;
+        if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+          byVariable.set(parent.id.name, nodePath.node);
+        }
+      },
+      CallExpression: (nodePath) => {
+        const [name, schema] = nodePath.node.arguments;
+        if (this.isModelCall(nodePath.node) && schema) {
+          compiled.push({ name: name && name.type === 'StringLiteral' ? name.value : null, schema });
+        }
+      }
+    });
+    
+    // The user collection is the identity itself, not data a user owns
+    const targets = compiled
+      .filter(model => !/^users?$/i.test(model.name || ''))
+      .map(model => (model.schema.type === 'Identifier' ? byVariable.get(model.schema.name) : model.schema))
+      .filter(node => node && node.type === 'NewExpression' && schemas.includes(node));
+    
+    return { schemas, targets: [...new Set(targets)], hasModelCall: compiled.length > 0 };
+  }
+
+  hasWeamFields(objectNode) {
+    return objectNode.properties.some(property =>
+      (property.type === 'SpreadElement' && property.argument.name === 'weamUserFields') ||
+      (property.key && ['user', 'companyId'].includes(property.key.name || property.key.value))
+    );
+  }
+
+  detect(ast, content) {
+    const { schemas, targets, hasModelCall } = this.findSchemas(ast);
+    if (schemas.length === 0) {
+      return null;
+    }
+    if (!hasModelCall) {
+      return { unresolved: 'defines a schema but compiles it into a model in another file' };
+    }
+    
+    const pending = [];
+    for (const schema of targets) {
+      const fields = schema.arguments[0];
+      if (!fields || fields.type !== 'ObjectExpression') {
+        return { unresolved: `schema at line ${lineOf(schema)} is not built from an object literal` };
+      }
+      if (!this.hasWeamFields(fields)) {
+        pending.push(schema);
+      }
+    }
+    
+    if (pending.length === 0) {
+      return null;
+    }
+    
+    return {
+      description: `Add ...weamUserFields (user, companyId, isPublic) to the schema${pending.length > 1 ? 's' : ''} at line ${pending.map(lineOf).join(', ')}`
+    };
+  }
+
+  apply(ast, content, importFrom) {
+    const { targets } = this.findSchemas(ast);
+    const edits = [];
+    
+    for (const schema of targets) {
+      const fields = schema.arguments[0];
+      if (!fields || fields.type !== 'ObjectExpression' || this.hasWeamFields(fields)) continue;
+      
+      const last = fields.properties[fields.properties.length - 1];
+      if (!last) {
+        edits.push({ start: fields.start, end: fields.end, text: '{ ...weamUserFields }' });
+        continue;
+      }
+      
+      // Keep the schema's own trailing-comma style
+      const between = content.slice(last.end, fields.end - 1);
+      const trailingComma = between.trim().startsWith(',');
+      const indent = indentAt(content, last.start);
+      edits.push(trailingComma
+        ? { start: last.end + between.indexOf(',') + 1, end: last.end + between.indexOf(',') + 1, text: `\n${indent}// Weam user/company ownership\n${indent}...weamUserFields,` }
+        : { start: last.end, end: last.end, text: `,\n${indent}// Weam user/company ownership\n${indent}...weamUserFields` });
+    }
+    
+    if (edits.length === 0) {
+      return content;
+    }
+    
+    return applyEdits(content, [importEdit(ast, content, ['weamUserFields'], importFrom), ...edits]);
+  }
+}
+
+module.exports = MongooseUserFieldsCodemod;
@@ -0,0 +1,90 @@
+const { applyEdits, importEdit, lineOf } = require('./astUtils');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Handlers that already look up a session are left alone
+const SESSION_CHECK = /\b(withWeamSession|getIronSession|getSession|getServerSession|requireWeamAuth|auth)\s*\(/;
+
+// Wraps exported App Router route handlers (app/**/route.ts) in withWeamSession()
+class NextRouteAuthCodemod {
+  constructor() {
+    this.name = 'next-route-auth';
+    this.area = 'auth';
+    this.helper = 'nextSession';
+  }
+
+  matches(file) {
+    // Login/logout routes have to stay reachable without a session
+    return /(^|\/)app\/(.+\/)?route\.(js|mjs|ts)$/.test(file.path) && !/(^|\/)api\/auth\//.test(file.path);
+  }
+
+  findHandlers(ast, content) {
+    const handlers = [];
+    const unsupported = [];
+    
+    for (const statement of ast.program.body) {
+      if (statement.type !== 'ExportNamedDeclaration') continue;
+      
+      const declaration = statement.declaration;
+      if (declaration && declaration.type === 'FunctionDeclaration' && HTTP_METHODS.includes(declaration.id.name)) {
+        handlers.push({ kind: 'function', method: declaration.id.name, statement, node: declaration });
+      } else if (declaration && declaration.type === 'VariableDeclaration') {
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type === 'Identifier' && HTTP_METHODS.includes(declarator.id.name) && declarator.init) {
+            handlers.push({ kind: 'variable', method: declarator.id.name, statement, node: declarator.init });
+          }
+        }
+      }
+      
+      for (const specifier of statement.specifiers || []) {
+        if (HTTP_METHODS.includes(specifier.exported.name)) {
+          unsupported.push(`${specifier.exported.name} (line ${lineOf(statement)}) is re-exported from another binding`);
+        }
+      }
+    }
+    
+    return {
+      handlers: handlers.filter(handler => !SESSION_CHECK.test(content.slice(handler.node.start, handler.node.end))),
+      unsupported
+    };
+  }
+
+  detect(ast, content) {
+    const { handlers, unsupported } = this.findHandlers(ast, content);
+    
+    if (unsupported.length > 0) {
+      return { unresolved: `cannot wrap ${unsupported.join(', ')}` };
+    }
+    if (handlers.length === 0) {
+      return null;
+    }
+    
+    return {
+      description: `Wrap ${handlers.map(handler => handler.method).join(', ')} in withWeamSession() so they answer 401 without a Weam session`
+    };
+  }
+
+  apply(ast, content, importFrom) {
+    const { handlers } = this.findHandlers(ast, content);
+    const edits = [importEdit(ast, content, ['withWeamSession'], importFrom)];
+    
+    for (const handler of handlers) {
+      if (handler.kind === 'function') {
+        // export async function GET() {} -> export const GET = withWeamSession(async function GET() {});
+        edits.push(
+          { start: handler.statement.start, end: handler.node.start, text: `export const ${handler.method} = withWeamSession(` },
+          { start: handler.node.end, end: handler.node.end, text: ');' }
+        );
+      } else {
+        edits.push(
+          { start: handler.node.start, end: handler.node.start, text: 'withWeamSession(' },
+          { start: handler.node.end, end: handler.node.end, text: ')' }
+        );
+      }
+    }
+    
+    return applyEdits(content, edits);
+  }
+}
+
+module.exports = NextRouteAuthCodemod;
@@ -0,0 +1,70 @@
+const path = require('path');
+
+// Shared helpers for the codemods: edit the original text in place using the parsed positions
+
+// Apply { start, end, text } edits back to front so earlier offsets stay valid
+function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), content);
+}
+
+// "./x" style specifier from one app file to another, without the extension
+function relativeImport(fromFile, toFile) {
+  const relative = path.posix.relative(path.posix.dirname(fromFile), toFile).replace(/\.(js|ts|mjs|cjs)$/, '');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function isRequireStatement(node) {
+  const declarator = node.type === 'VariableDeclaration' && node.declarations[0];
+  const init = declarator && declarator.init;
+  return Boolean(init && init.type === 'CallExpression' && init.callee.name === 'require');
+}
+
+// An edit that adds `names` from `source` after the last top-level import, in the file's own module style
+function importEdit(ast, content, names, source) {
+  const body = ast.program.body;
+  const imports = body.filter(node => node.type === 'ImportDeclaration');
+  const requires = body.filter(isRequireStatement);
+  const esm = imports.length > 0 || requires.length === 0;
+  const anchors = esm ? imports : requires;
+  const last = anchors[anchors.length - 1];
+  
+  const sample = last ? content.slice(last.start, last.end) : '';
+  const quote = sample.includes('"') && !sample.includes("'") ? '"' : "'";
+  const semi = !last || sample.trim().endsWith(';') ? ';' : '';
+  const statement = esm
+    ? `import { ${names.join(', ')} } from ${quote}${source}${quote}${semi}`
+    : `const { ${names.join(', ')} } = require(${quote}${source}${quote})${semi}`;
+  
+  if (last) {
+    return { start: last.end, end: last.end, text: `\n${statement}` };
+  }
+  
+  // Keep "use client" / "use strict" directives first
+  const directives = ast.program.directives || [];
+  if (directives.length > 0) {
+    const end = directives[directives.length - 1].end;
+    return { start: end, end, text: `\n\n${statement}` };
+  }
+  
+  return { start: 0, end: 0, text: `${statement}\n\n` };
+}
+
+// Leading whitespace of the line a node starts on
+function indentAt(content, position) {
+  const lineStart = content.lastIndexOf('\n', position - 1) + 1;
+  return content.slice(lineStart, position).match(/^\s*/)[0];
+}
+
+function lineOf(node) {
+  return node.loc ? node.loc.start.line : null;
+}
+
+module.exports = {
+  applyEdits,
+  relativeImport,
+  importEdit,
+  indentAt,
+  lineOf
+};
@@ -0,0 +1,65 @@
+const axios = require('axios');
+
+const LLMProvider = require('./LLMProvider');
+
+// Anthropic Messages API over HTTP
+class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiKey = process.env[config.apiKeyEnv || 'ANTHROPIC_API_KEY'];
+    this.baseURL = (config.baseURL || 'https://api.anthropic.com').replace(/\/$/, '');
+    
+    if (!this.apiKey) {
+      throw new Error('Anthropic API key not found! Set ANTHROPIC_API_KEY in your environment or .env file');
+    }
+  }
+
+  async complete(request) {
+    const options = this.getOptions(request);
+    
+    // System prompts are a top-level field in the Messages API
+    const system = request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const messages = request.messages.filter(m => m.role !== 'system');
+    const useTools = Boolean(request.schema) && this.supportsTools;
+    
+    const response = await axios.post(`${this.baseURL}/v1/messages`, {
+      model: options.model,
+      max_tokens: options.maxTokens || 4096,
+      temperature: options.temperature,
+      ...(system && { system }),
+      messages,
+      ...(useTools && {
+        tools: [{
+          name: request.schema.name,
+          description: request.schema.description,
+          input_schema: request.schema.parameters
+        }],
+        tool_choice: { type: 'tool', name: request.schema.name }
+      })
+    }, {
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      signal: request.signal
+    });
+    
+    const toolUse = useTools && response.data.content.find(block => block.type === 'tool_use');
+    
+    return {
+      content: toolUse
+        ? JSON.stringify(toolUse.input)
+        : response.data.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+      usage: {
+        inputTokens: response.data.usage?.input_tokens || 0,
+        outputTokens: response.data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,68 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const LLMProvider = require('./LLMProvider');
+
+// Content-addressed response cache; a repeated request is answered from disk
+class CachingProvider extends LLMProvider {
+  constructor(provider, cacheDir) {
+    super({ provider: provider.name, model: provider.model, temperature: provider.temperature, maxTokens: provider.maxTokens });
+    this.provider = provider;
+    this.cacheDir = cacheDir;
+    this.supportsTools = provider.supportsTools;
+    this.baseURL = provider.baseURL;
+    this.apiVersion = provider.apiVersion;
+  }
+
+  // Provider, endpoint, model, sampling options, prompt, schema and the hash of the file being edited
+  cacheKey(request) {
+    const options = this.getOptions(request);
+    
+    return crypto.createHash('sha256').update(JSON.stringify({
+      provider: this.name,
+      baseURL: this.baseURL || null,
+      apiVersion: this.apiVersion || null,
+      model: options.model,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens || null,
+      tools: this.supportsTools,
+      messages: request.messages,
+      schema: request.schema || null,
+      fileHash: request.fileHash || null
+    })).digest('hex');
+  }
+
+  getCachePath(key) {
+    return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+  }
+
+  async complete(request) {
+    const key = this.cacheKey(request);
+    const cachePath = this.getCachePath(key);
+    
+    if (await fs.pathExists(cachePath)) {
+      try {
+        const entry = await fs.readJson(cachePath);
+        return { content: entry.content, usage: entry.usage, cached: true };
+      } catch (error) {
+        // A truncated entry is just a miss
+      }
+    }
+    
+    const result = await this.provider.complete(request);
+    
+    await fs.ensureDir(path.dirname(cachePath));
+    await fs.writeFile(cachePath, JSON.stringify({
+      provider: this.name,
+      model: this.getOptions(request).model,
+      createdAt: new Date().toISOString(),
+      content: result.content,
+      usage: result.usage
+    }, null, 2));
+    
+    return result;
+  }
+}
+
+module.exports = CachingProvider;
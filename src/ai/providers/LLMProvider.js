@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Base class for chat-completion backends used by AIIntegrator
+class LLMProvider {
+  constructor(config = {}) {
+    this.name = config.provider;
+    this.model = config.model;
+    this.temperature = config.temperature;
+    this.maxTokens = config.maxTokens;
+    this.supportsTools = config.tools !== undefined ? config.tools : true;
+    // Where requests are sent; two servers behind the same model name answer differently
+    this.baseURL = config.baseURL;
+    this.apiVersion = config.apiVersion;
+  }
+
+  // Returns { content, usage: { inputTokens, outputTokens } }
+  // With request.schema ({ name, description, parameters }) content is the JSON the model produced
+  async complete(request) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  getOptions(request = {}) {
+    return {
+      model: request.model || this.model,
+      temperature: request.temperature !== undefined ? request.temperature : this.temperature,
+      maxTokens: request.maxTokens || this.maxTokens
+    };
+  }
+
+  // Stable key for a request; used for replay fixtures
+  static requestKey(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request.messages)).digest('hex');
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,48 @@
+const fs = require('fs-extra');
+
+const LLMProvider = require('./LLMProvider');
+
+// Offline provider that replays recorded responses; never touches the network
+class MockProvider extends LLMProvider {
+  constructor(config = {}) {
+    super({ model: 'mock', ...config });
+    this.responses = { ...(config.responses || {}) };
+    this.sequence = [...(config.sequence || [])];
+    this.calls = [];
+    
+    if (config.replayFile) {
+      if (!fs.pathExistsSync(config.replayFile)) {
+        throw new Error(`Mock replay file not found: ${config.replayFile}`);
+      }
+      
+      const fixture = fs.readJsonSync(config.replayFile);
+      Object.assign(this.responses, fixture.responses);
+      this.sequence.push(...(fixture.sequence || []));
+    }
+  }
+
+  // Exact request matches win; otherwise hand out the scripted sequence in order
+  async complete(request) {
+    const key = LLMProvider.requestKey(request);
+    this.calls.push({ key, messages: request.messages });
+    
+    let content;
+    if (this.responses[key] !== undefined) {
+      content = this.responses[key];
+    } else if (this.sequence.length > 0) {
+      content = this.sequence.shift();
+    } else {
+      throw new Error(`Mock provider has no response for request ${key}`);
+    }
+    
+    return {
+      content,
+      usage: {
+        inputTokens: Math.ceil(JSON.stringify(request.messages).length / 4),
+        outputTokens: Math.ceil(content.length / 4)
+      }
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,93 @@
+const OpenAI = require('openai');
+
+const LLMProvider = require('./LLMProvider');
+
+// OpenAI, Azure OpenAI and any OpenAI-compatible server (Ollama, LM Studio, vLLM)
+class OpenAIProvider extends LLMProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      // Many OpenAI-compatible servers do not implement tool calling
+      tools: config.tools !== undefined ? config.tools : config.provider !== 'openai-compatible'
+    });
+    const clientOptions = this.getClientOptions(config);
+    // Azure folds the deployment into the base URL and versions the API per request
+    this.baseURL = clientOptions.baseURL;
+    this.apiVersion = clientOptions.defaultQuery && clientOptions.defaultQuery['api-version'];
+    // Retries and timeouts are handled by RetryingProvider
+    this.client = new OpenAI({ ...clientOptions, maxRetries: 0 });
+  }
+
+  getClientOptions(config) {
+    if (config.provider === 'azure') {
+      const apiKey = process.env[config.apiKeyEnv || 'AZURE_OPENAI_API_KEY'];
+      const endpoint = config.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
+      const deployment = config.deployment || config.model;
+      
+      if (!apiKey || !endpoint) {
+        throw new Error('Azure OpenAI needs AZURE_OPENAI_API_KEY and AZURE_OPENAI_ENDPOINT (or llm.endpoint in weamint.config.json)');
+      }
+      
+      return {
+        apiKey,
+        baseURL: `${endpoint.replace(/\/$/, '')}/openai/deployments/${deployment}`,
+        defaultQuery: { 'api-version': config.apiVersion || '2024-06-01' },
+        defaultHeaders: { 'api-key': apiKey }
+      };
+    }
+    
+    if (config.provider === 'openai-compatible') {
+      if (!config.baseURL) {
+        throw new Error('The openai-compatible provider needs a base URL (llm.baseURL or WEAM_LLM_BASE_URL)');
+      }
+      
+      // Local servers such as Ollama accept any key
+      return {
+        apiKey: process.env[config.apiKeyEnv || 'OPENAI_API_KEY'] || 'not-needed',
+        baseURL: config.baseURL
+      };
+    }
+    
+    const apiKey = process.env[config.apiKeyEnv || 'OPENAI_API_KEY'];
+    if (!apiKey) {
+      throw new Error('OpenAI API key not found! Set OPENAI_API_KEY in your environment or .env file');
+    }
+    
+    return {
+      apiKey,
+      ...(config.baseURL && { baseURL: config.baseURL })
+    };
+  }
+
+  async complete(request) {
+    const options = this.getOptions(request);
+    
+    const useTools = Boolean(request.schema) && this.supportsTools;
+    
+    const response = await this.client.chat.completions.create({
+      model: options.model,
+      messages: request.messages,
+      temperature: options.temperature,
+      ...(options.maxTokens && { max_tokens: options.maxTokens }),
+      ...(useTools && {
+        tools: [{ type: 'function', function: request.schema }],
+        tool_choice: { type: 'function', function: { name: request.schema.name } }
+      })
+    }, {
+      signal: request.signal
+    });
+    
+    const message = response.choices[0].message;
+    const toolCall = useTools && message.tool_calls?.find(call => call.function?.name === request.schema.name);
+    
+    return {
+      content: toolCall ? toolCall.function.arguments : message.content || '',
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,41 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const LLMProvider = require('./LLMProvider');
+
+// Wraps a real provider and saves each response in the mock replay format
+class RecordingProvider extends LLMProvider {
+  constructor(provider, recordFile) {
+    super({ provider: provider.name, model: provider.model });
+    this.provider = provider;
+    this.supportsTools = provider.supportsTools;
+    this.baseURL = provider.baseURL;
+    this.apiVersion = provider.apiVersion;
+    this.recordFile = recordFile;
+    // Requests run in parallel, so the read-modify-write of the replay file goes through one queue
+    this.writes = Promise.resolve();
+  }
+
+  async complete(request) {
+    const result = await this.provider.complete(request);
+    
+    const write = this.writes.then(() => this.save(LLMProvider.requestKey(request), result.content));
+    this.writes = write.catch(() => {});
+    await write;
+    
+    return result;
+  }
+
+  async save(key, content) {
+    const fixture = await fs.pathExists(this.recordFile)
+      ? await fs.readJson(this.recordFile)
+      : { responses: {} };
+    fixture.responses = fixture.responses || {};
+    fixture.responses[key] = content;
+    
+    await fs.ensureDir(path.dirname(this.recordFile));
+    await fs.writeFile(this.recordFile, JSON.stringify(fixture, null, 2));
+  }
+}
+
+module.exports = RecordingProvider;
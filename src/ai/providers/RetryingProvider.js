@@ -0,0 +1,110 @@
+const LLMProvider = require('./LLMProvider');
+
+// Network failures that are usually gone a moment later
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Retries rate limits, server errors and dropped connections with exponential backoff, and bounds every attempt with a timeout
+class RetryingProvider extends LLMProvider {
+  constructor(provider, options = {}) {
+    super({ provider: provider.name, model: provider.model, temperature: provider.temperature, maxTokens: provider.maxTokens });
+    this.provider = provider;
+    this.supportsTools = provider.supportsTools;
+    this.baseURL = provider.baseURL;
+    this.apiVersion = provider.apiVersion;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+    this.timeout = options.timeout || 120000;
+    this.baseDelay = options.baseDelay || 1000;
+    this.maxDelay = options.maxDelay || 60000;
+    // A Retry-After longer than this is treated as a hard failure rather than waited out
+    this.maxRetryAfter = options.maxRetryAfter || 5 * 60 * 1000;
+  }
+
+  getStatus(error) {
+    return error.status || (error.response && error.response.status);
+  }
+
+  // Retry-After is either seconds or an HTTP date; OpenAI errors carry plain header objects, axios errors carry response headers
+  getRetryAfter(error) {
+    const headers = error.headers || (error.response && error.response.headers) || {};
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    if (!value) {
+      return null;
+    }
+    
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  isRetryable(error) {
+    if (error.timedOut) {
+      return true;
+    }
+    
+    const status = this.getStatus(error);
+    if (status) {
+      return status === 408 || status === 409 || status === 429 || status >= 500;
+    }
+    
+    return TRANSIENT_CODES.includes(error.code) || error.name === 'APIConnectionError';
+  }
+
+  getDelay(attempt, error) {
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    
+    // Exponential step with jitter so parallel workers do not retry in lockstep
+    const step = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return step / 2 + Math.random() * step / 2;
+  }
+
+  async attempt(request) {
+    const controller = new AbortController();
+    let timer;
+    
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`LLM request timed out after ${Math.round(this.timeout / 1000)}s`);
+        error.timedOut = true;
+        reject(error);
+      }, this.timeout);
+    });
+    
+    try {
+      return await Promise.race([
+        this.provider.complete({ ...request, signal: controller.signal }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async complete(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.attempt(request);
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) {
+          throw error;
+        }
+        
+        const delay = this.getDelay(attempt, error);
+        if (delay > this.maxRetryAfter) {
+          throw error;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = RetryingProvider;
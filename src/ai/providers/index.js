@@ -0,0 +1,96 @@
+const path = require('path');
+
+const OpenAIProvider = require('./OpenAIProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+const MockProvider = require('./MockProvider');
+const RecordingProvider = require('./RecordingProvider');
+const CachingProvider = require('./CachingProvider');
+const RetryingProvider = require('./RetryingProvider');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  azure: OpenAIProvider,
+  'openai-compatible': OpenAIProvider,
+  ollama: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider
+};
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4',
+  azure: 'gpt-4',
+  'openai-compatible': 'llama3',
+  ollama: 'llama3',
+  anthropic: 'claude-3-5-sonnet-latest',
+  mock: 'mock'
+};
+
+// Settings from the environment; weamint.config.json "llm" sits below, CLI flags above
+function getEnvConfig() {
+  const env = {
+    provider: process.env.WEAM_LLM_PROVIDER,
+    model: process.env.WEAM_LLM_MODEL,
+    baseURL: process.env.WEAM_LLM_BASE_URL,
+    temperature: process.env.WEAM_LLM_TEMPERATURE !== undefined ? Number(process.env.WEAM_LLM_TEMPERATURE) : undefined,
+    maxTokens: process.env.WEAM_LLM_MAX_TOKENS !== undefined ? Number(process.env.WEAM_LLM_MAX_TOKENS) : undefined,
+    replayFile: process.env.WEAM_LLM_REPLAY_FILE,
+    recordFile: process.env.WEAM_LLM_RECORD_FILE
+  };
+  
+  return Object.fromEntries(Object.entries(env).filter(([, value]) => value !== undefined));
+}
+
+function resolveLLMConfig(projectConfig = {}, overrides = {}) {
+  const defined = (config) => Object.fromEntries(
+    Object.entries(config || {}).filter(([, value]) => value !== undefined)
+  );
+  
+  const config = {
+    provider: 'openai',
+    temperature: 0.1,
+    ...defined(projectConfig),
+    ...getEnvConfig(),
+    ...defined(overrides)
+  };
+  
+  // Ollama is an OpenAI-compatible server on a well-known port
+  if (config.provider === 'ollama' && !config.baseURL) {
+    config.baseURL = 'http://localhost:11434/v1';
+  }
+  
+  config.model = config.model || DEFAULT_MODELS[config.provider];
+  
+  return config;
+}
+
+// Expects a config from resolveLLMConfig
+function createProvider(resolved) {
+  const Provider = PROVIDERS[resolved.provider];
+  
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${resolved.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  
+  const provider = new Provider({
+    ...resolved,
+    provider: resolved.provider === 'ollama' ? 'openai-compatible' : resolved.provider,
+    replayFile: resolved.replayFile && path.resolve(resolved.replayFile)
+  });
+  
+  const recorded = resolved.recordFile
+    ? new RecordingProvider(provider, path.resolve(resolved.recordFile))
+    : provider;
+  
+  // Replayed responses never fail transiently
+  return resolved.provider === 'mock'
+    ? recorded
+    : new RetryingProvider(recorded, { maxRetries: resolved.maxRetries, timeout: resolved.timeout });
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_MODELS,
+  CachingProvider,
+  resolveLLMConfig,
+  createProvider
+};
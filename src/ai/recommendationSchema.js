@@ -0,0 +1,130 @@
+// JSON schema the model must follow when it proposes integration changes
+
+const ACTIONS = ['create', 'modify', 'delete'];
+const AREAS = ['auth', 'database', 'branding', 'proxy'];
+// Follow-ups on a finished run can also put a file back the way it was before the run
+const FOLLOW_UP_ACTIONS = [...ACTIONS, 'revert'];
+
+const recommendationSchema = {
+  name: 'submit_integration_plan',
+  description: 'Submit the list of file changes needed to integrate the app with Weam.ai',
+  parameters: {
+    type: 'object',
+    properties: {
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            filePath: {
+              type: 'string',
+              description: 'Path of the file relative to the app root'
+            },
+            action: {
+              type: 'string',
+              enum: ACTIONS
+            },
+            area: {
+              type: 'string',
+              enum: AREAS,
+              description: 'Integration area this change belongs to'
+            },
+            rationale: {
+              type: 'string',
+              description: 'Why this file needs to change'
+            },
+            description: {
+              type: 'string',
+              description: 'Specific changes to make, including code to add or modify'
+            }
+          },
+          required: ['filePath', 'action', 'area', 'rationale', 'description'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['recommendations'],
+    additionalProperties: false
+  }
+};
+
+const followUpSchema = {
+  name: 'submit_follow_up_changes',
+  description: 'Submit the file changes needed for a follow-up request on an earlier Weam.ai integration run',
+  parameters: withActions(recommendationSchema.parameters, FOLLOW_UP_ACTIONS)
+};
+
+function withActions(parameters, actions) {
+  const copy = JSON.parse(JSON.stringify(parameters));
+  copy.properties.recommendations.items.properties.action.enum = actions;
+  return copy;
+}
+
+// Pull a JSON document out of a reply that may be wrapped in prose or code fences
+function extractJson(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const text = (fenced ? fenced[1] : content).trim();
+  const start = text.search(/[[{]/);
+  
+  if (start === -1) {
+    throw new Error('Response does not contain JSON');
+  }
+  
+  return JSON.parse(text.slice(start));
+}
+
+function validateRecommendations(data, actions = ACTIONS) {
+  const errors = [];
+  const list = Array.isArray(data) ? data : data?.recommendations;
+  
+  if (!Array.isArray(list)) {
+    return { valid: false, errors: ['"recommendations" must be an array'], recommendations: [] };
+  }
+  
+  list.forEach((item, index) => {
+    const at = `recommendations[${index}]`;
+    
+    if (!item || typeof item !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    
+    for (const field of ['filePath', 'rationale', 'description']) {
+      if (typeof item[field] !== 'string' || item[field].trim() === '') {
+        errors.push(`${at}.${field} must be a non-empty string`);
+      }
+    }
+    
+    if (!actions.includes(item.action)) {
+      errors.push(`${at}.action must be one of ${actions.join(', ')}`);
+    }
+    
+    if (!AREAS.includes(item.area)) {
+      errors.push(`${at}.area must be one of ${AREAS.join(', ')}`);
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    recommendations: errors.length === 0
+      ? list.map(item => ({
+        filePath: item.filePath.trim(),
+        action: item.action,
+        area: item.area,
+        rationale: item.rationale,
+        description: item.description
+      }))
+      : []
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  AREAS,
+  FOLLOW_UP_ACTIONS,
+  recommendationSchema,
+  followUpSchema,
+  extractJson,
+  validateRecommendations
+};
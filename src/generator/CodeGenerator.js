@@ -2,16 +2,27 @@ const fs = require('fs-extra');
 const path = require('path');
 const ejs = require('ejs');
 
+const ProjectConfig = require('../utils/ProjectConfig');
+
+const DEFAULT_OUTPUT_DIR = './weam-integration';
+
 class CodeGenerator {
-  constructor() {
+  constructor(options = {}) {
     this.templatesDir = path.join(__dirname, '../templates');
-    this.outputDir = './weam-integration';
+    this.outputDir = DEFAULT_OUTPUT_DIR;
+    // Workspace packages share the repo's output dir, each in a folder named after its path
+    this.workspaceRoot = options.workspaceRoot || null;
+    this.packagePath = options.packagePath || '';
+    this.projectConfig = new ProjectConfig();
   }
 
   async generateIntegration(appInfo, userPreferences) {
     const integrationFiles = [];
     
     try {
+      // Fill in anything not chosen explicitly from weamint.config.json
+      userPreferences = await this.applyProjectConfig(appInfo, userPreferences);
+      
       // Create output directory
       await fs.ensureDir(this.outputDir);
       
@@ -23,7 +34,7 @@ class CodeGenerator {
       
       // Generate database integration
       if (userPreferences.addDatabase) {
-        const dbFiles = await this.generateDatabaseIntegration(appInfo);
+        const dbFiles = await this.generateDatabaseIntegration(appInfo, userPreferences);
         integrationFiles.push(...dbFiles);
       }
       
@@ -33,9 +44,11 @@ class CodeGenerator {
         integrationFiles.push(...brandingFiles);
       }
       
-      // Generate proxy routes for Weam
-      const proxyFiles = await this.generateProxyRoutes(appInfo, userPreferences);
-      integrationFiles.push(...proxyFiles);
+      // Generate proxy routes for Weam (not for shared workspace libraries, which serve nothing)
+      if (userPreferences.addProxy !== false) {
+        const proxyFiles = await this.generateProxyRoutes(appInfo, userPreferences);
+        integrationFiles.push(...proxyFiles);
+      }
       
       // Generate environment configuration
       const envFile = await this.generateEnvironmentConfig(appInfo, userPreferences);
@@ -55,25 +68,52 @@ class CodeGenerator {
     }
   }
 
+  async applyProjectConfig(appInfo, userPreferences = {}) {
+    if (!appInfo.path) {
+      this.outputDir = this.resolveOutputDir(appInfo, userPreferences);
+      return userPreferences;
+    }
+    
+    const { config } = await this.projectConfig.load(appInfo.path);
+    const explicit = Object.fromEntries(
+      Object.entries(userPreferences).filter(([, value]) => value !== undefined)
+    );
+    const preferences = { ...config, ...explicit };
+    
+    this.outputDir = this.resolveOutputDir(appInfo, preferences);
+    
+    return preferences;
+  }
+
+  // `outputDir` is relative to the app, or to the repo root for a workspace package, which then gets its own folder inside it
+  resolveOutputDir(appInfo, preferences) {
+    const baseDir = this.workspaceRoot || appInfo.path;
+    const outputDir = preferences.outputDir && baseDir ? path.resolve(baseDir, preferences.outputDir) : DEFAULT_OUTPUT_DIR;
+    
+    return path.join(outputDir, this.packagePath);
+  }
+
   async generateSessionMiddleware(appInfo) {
-    const template = await fs.readFile(path.join(this.templatesDir, 'weamSession.ejs'), 'utf8');
+    // Next.js route handlers get a withWeamSession() wrapper instead of Express-style middleware
+    const isNext = appInfo.framework === 'next.js';
+    const template = await fs.readFile(path.join(this.templatesDir, isNext ? 'nextSession.ejs' : 'weamSession.ejs'), 'utf8');
     const content = ejs.render(template, {
       appName: appInfo.name,
       framework: appInfo.framework
     });
     
-    const filePath = path.join(this.outputDir, 'middleware/weamSession.js');
+    const filePath = path.join(this.outputDir, isNext ? 'lib/weamNextSession.js' : 'middleware/weamSession.js');
     await fs.ensureDir(path.dirname(filePath));
     await fs.writeFile(filePath, content);
     
     return {
       type: 'middleware',
       path: filePath,
-      description: 'Weam session middleware for authentication'
+      description: isNext ? 'withWeamSession() wrapper for Next.js route handlers' : 'Weam session middleware for authentication'
     };
   }
 
-  async generateDatabaseIntegration(appInfo) {
+  async generateDatabaseIntegration(appInfo, userPreferences = {}) {
     const files = [];
     
     // Generate database connection
@@ -92,16 +132,24 @@ class CodeGenerator {
       description: 'Database connection with Weam integration'
     });
     
-    // Update existing models
-    for (const model of appInfo.models) {
-      const modelTemplate = await fs.readFile(path.join(this.templatesDir, 'modelUpdate.ejs'), 'utf8');
+    // Update existing models that do not store their Weam owner yet; the user model is the identity itself
+    const models = appInfo.models.filter(model => !(model.hasUserId && model.hasCompanyId) && !/^users?$/i.test(model.name));
+    for (const model of models) {
+      // Mongoose models get a full model file, other ORMs the fields to add in their own syntax
+      const mongoose = !model.type || model.type === 'mongoose';
+      const modelTemplate = await fs.readFile(path.join(this.templatesDir, mongoose ? 'modelUpdate.ejs' : 'ormModelUpdate.ejs'), 'utf8');
       const modelContent = ejs.render(modelTemplate, {
         modelName: model.name,
         modelType: model.type,
-        appName: appInfo.name
+        appName: appInfo.name,
+        collectionPrefix: userPreferences.collectionPrefix || '',
+        collection: model.collection || model.name,
+        file: model.file,
+        dialect: model.dialect || 'pg',
+        missing: { userId: !model.hasUserId, companyId: !model.hasCompanyId, timestamps: !model.hasTimestamps }
       });
       
-      const modelFilePath = path.join(this.outputDir, `models/${model.name}.js`);
+      const modelFilePath = path.join(this.outputDir, `models/${model.name}${this.getModelExtension(model)}`);
       await fs.ensureDir(path.dirname(modelFilePath));
       await fs.writeFile(modelFilePath, modelContent);
       files.push({
@@ -175,7 +223,8 @@ class CodeGenerator {
       appName: userPreferences.appName,
       appPath: appInfo.path,
       apiRoutes: appInfo.apiRoutes,
-      port: this.getAppPort(appInfo)
+      apiPrefix: this.getApiPrefix(appInfo.apiRoutes),
+      port: this.getAppPort(appInfo, userPreferences)
     });
     
     const proxyFilePath = path.join(this.outputDir, 'weam-proxy/[...path]/route.ts');
@@ -192,7 +241,8 @@ class CodeGenerator {
     const pageContent = ejs.render(pageTemplate, {
       appName: userPreferences.appName,
       description: userPreferences.description,
-      category: userPreferences.category
+      category: userPreferences.category,
+      port: this.getAppPort(appInfo, userPreferences)
     });
     
     const pageFilePath = path.join(this.outputDir, 'weam-page/page.tsx');
@@ -209,11 +259,10 @@ class CodeGenerator {
 
   async generateEnvironmentConfig(appInfo, userPreferences) {
     const template = await fs.readFile(path.join(this.templatesDir, 'envConfig.ejs'), 'utf8');
+    const groups = this.getEnvironmentGroups(appInfo, userPreferences);
     const content = ejs.render(template, {
       appName: userPreferences.appName,
-      port: this.getAppPort(appInfo),
-      hasAuth: userPreferences.addAuth,
-      hasDatabase: userPreferences.addDatabase
+      groups
     });
     
     const filePath = path.join(this.outputDir, '.env.weam');
@@ -222,8 +271,57 @@ class CodeGenerator {
     return {
       type: 'config',
       path: filePath,
-      description: 'Environment configuration for Weam integration'
+      description: 'Environment configuration for Weam integration',
+      variables: groups.flatMap(group => group.variables.map(variable => variable.name))
+    };
+  }
+
+  // Only what the generated files read plus what the app itself reads, grouped for the .env file
+  getEnvironmentGroups(appInfo, userPreferences) {
+    const port = this.getAppPort(appInfo, userPreferences);
+    const weam = [];
+    
+    if (userPreferences.addAuth) {
+      weam.push({ name: 'WEAM_COOKIE_NAME', value: 'weam' });
+      weam.push({ name: 'WEAM_COOKIE_PASSWORD', value: 'replace-with-at-least-32-random-characters', note: 'iron-session needs at least 32 characters' });
+    }
+    if (userPreferences.addDatabase) {
+      weam.push({ name: 'MONGODB_URI', value: `mongodb://localhost:27017/${(userPreferences.appName || appInfo.name).toLowerCase().replace(/[^a-z0-9_-]+/g, '-')}` });
+    }
+    if (userPreferences.addProxy !== false) {
+      weam.push({ name: 'APP_BASE_URL', value: `http://localhost:${port}` });
+    }
+    
+    // The app's own variables keep the name its code reads, even a misspelled one, with the example value if it is not a secret
+    const env = appInfo.env || { variables: [], issues: [] };
+    const generated = weam.map(variable => variable.name);
+    const appVariables = env.variables
+      .filter(variable => variable.referencedIn.length > 0 && variable.category !== 'runtime' && !generated.includes(variable.name))
+      .map(variable => {
+        const declared = variable.declaredIn.find(declaration => declaration.value !== undefined);
+        const issue = env.issues.find(i => i.name === variable.name && ['misspelled', 'exposed'].includes(i.type));
+        return {
+          name: variable.name,
+          category: variable.category,
+          value: declared ? declared.value : variable.name === 'PORT' ? String(port) : '',
+          ...(issue && { note: issue.message })
+        };
+      });
+    
+    const titles = {
+      weam: 'Weam',
+      public: 'Public (inlined into the client bundle)',
+      secret: 'Secrets',
+      config: 'App Configuration'
     };
+    
+    return [
+      { title: titles.weam, variables: [...weam, ...appVariables.filter(variable => variable.category === 'weam')] },
+      ...['public', 'secret', 'config'].map(category => ({
+        title: titles[category],
+        variables: appVariables.filter(variable => variable.category === category)
+      }))
+    ].filter(group => group.variables.length > 0);
   }
 
   async generateDocumentation(appInfo, userPreferences) {
@@ -232,6 +330,7 @@ class CodeGenerator {
       appName: userPreferences.appName,
       description: userPreferences.description,
       category: userPreferences.category,
+      port: this.getAppPort(appInfo, userPreferences),
       appInfo,
       userPreferences
     });
@@ -283,18 +382,48 @@ class CodeGenerator {
     };
   }
 
-  getAppPort(appInfo) {
+  getAppPort(appInfo, userPreferences = {}) {
+    if (userPreferences.port) {
+      return userPreferences.port;
+    }
+    
     // Default ports based on framework
     const defaultPorts = {
       'next.js': 3000,
       'react': 3000,
       'express': 3001,
       'vue': 3000,
-      'angular': 4200
+      'angular': 4200,
+      'remix': 3000,
+      'nuxt': 3000,
+      'sveltekit': 5173,
+      'vite': 5173,
+      'astro': 4321,
+      'nestjs': 3000,
+      'fastify': 3000,
+      'koa': 3000,
+      'hono': 3000
     };
     
     return defaultPorts[appInfo.framework] || 3000;
   }
+
+  getModelExtension(model) {
+    if (model.type === 'prisma') return '.prisma';
+    if (model.type === 'typeorm' || model.type === 'drizzle') return '.ts';
+    return '.js';
+  }
+
+  // First path segment every scanned route shares ("/api" for most apps), which the proxy puts back in front of the forwarded path
+  getApiPrefix(apiRoutes = []) {
+    if (apiRoutes.length === 0) {
+      return '/api';
+    }
+    
+    const segments = new Set(apiRoutes.map(route => route.path.split('/')[1] || ''));
+    const [segment] = segments;
+    return segments.size === 1 && segment && !segment.startsWith(':') ? `/${segment}` : '';
+  }
 }
 
 module.exports = CodeGenerator;
@@ -6,11 +6,35 @@ const ora = require('ora');
 const path = require('path');
 const fs = require('fs-extra');
 const readline = require('readline');
+const { Command, Option } = require('commander');
 
 const AppScanner = require('./scanner/AppScanner');
 const CodeGenerator = require('./generator/CodeGenerator');
 const IntegrationTester = require('./utils/IntegrationTester');
 const AIIntegrator = require('./ai/AIIntegrator');
+const RunManager = require('./ai/RunManager');
+const FollowUpSession = require('./ai/FollowUpSession');
+const PromptPacks = require('./ai/PromptPacks');
+const ProjectConfig = require('./utils/ProjectConfig');
+const { PROVIDERS } = require('./ai/providers');
+
+const CATEGORIES = [
+  'Productivity',
+  'Creative',
+  'Analytics',
+  'Communication',
+  'Development',
+  'Marketing',
+  'Other'
+];
+
+// Exit codes used by the non-interactive subcommands
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  INVALID_INPUT: 2,
+  PARTIAL: 3
+};
 
 // ASCII Art for weamInt
 function showASCIIArt() {
@@ -29,107 +53,387 @@ __        _______    _    __  __      ___ _   _ _____
   console.log(chalk.gray('    Automatically integrate your apps with Weam.ai\n'));
 }
 
-// AI-powered integration flow
-async function integrateAppWithAI(appPath) {
-  const spinner = ora('🤖 AI is analyzing your app...').start();
+// Integration questions shared by the AI and traditional flows
+function buildPreferenceQuestions(defaults = {}) {
+  return [
+    {
+      type: 'input',
+      name: 'appName',
+      message: 'What should this app be called in Weam?',
+      default: defaults.appName,
+      validate: (input) => input.length > 0 || 'App name is required'
+    },
+    {
+      type: 'input',
+      name: 'description',
+      message: 'Brief description of your app:',
+      default: defaults.description
+    },
+    {
+      type: 'list',
+      name: 'category',
+      message: 'Which category should this app go in?',
+      choices: CATEGORIES,
+      default: defaults.category
+    },
+    {
+      type: 'confirm',
+      name: 'addAuth',
+      message: 'Add Weam authentication to your app?',
+      default: defaults.addAuth !== undefined ? defaults.addAuth : true
+    },
+    {
+      type: 'confirm',
+      name: 'addDatabase',
+      message: 'Integrate with Weam database?',
+      default: true
+    },
+    {
+      type: 'confirm',
+      name: 'addBranding',
+      message: 'Apply Weam branding (logo, navigation)?',
+      default: true
+    }
+  ];
+}
+
+// Ask only the questions that were not answered up front (flags, defaults)
+async function resolvePreferences(defaults, presets = {}, interactive = true) {
+  const questions = buildPreferenceQuestions(defaults);
+  const answered = Object.fromEntries(
+    Object.entries(presets).filter(([, value]) => value !== undefined)
+  );
   
-  try {
-    // Check for OpenAI API key
-    if (!process.env.OPENAI_API_KEY) {
-      spinner.fail('OpenAI API key not found!');
-      console.log(chalk.yellow('\n⚠️  Please set your OpenAI API key:'));
-      console.log(chalk.gray('export OPENAI_API_KEY=your-api-key-here'));
-      console.log(chalk.gray('Or add it to your .env file'));
-      process.exit(1);
+  if (interactive) {
+    return inquirer.prompt(questions, answered);
+  }
+  
+  const answers = { ...answered };
+  for (const question of questions) {
+    if (answers[question.name] === undefined) {
+      answers[question.name] = question.type === 'list'
+        ? question.default || question.choices[0]
+        : question.default;
     }
-    
-    // Get user preferences
-    const answers = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'appName',
-        message: 'What should this app be called in Weam?',
-        default: path.basename(appPath),
-        validate: (input) => input.length > 0 || 'App name is required'
-      },
-      {
-        type: 'input',
-        name: 'description',
-        message: 'Brief description of your app:',
-        default: 'AI-powered application'
-      },
-      {
-        type: 'list',
-        name: 'category',
-        message: 'Which category should this app go in?',
-        choices: [
-          'Productivity',
-          'Creative',
-          'Analytics',
-          'Communication',
-          'Development',
-          'Marketing',
-          'Other'
-        ]
-      },
-      {
-        type: 'confirm',
-        name: 'addAuth',
-        message: 'Add Weam authentication to your app?',
-        default: true
-      },
+  }
+  
+  if (!answers.appName) {
+    throw new Error('App name is required');
+  }
+  
+  return answers;
+}
+
+// Pre-answer the questions from weamint.config.json, then remember the choices there
+async function getProjectPreferences(appPath, defaults, options = {}) {
+  const projectConfig = new ProjectConfig();
+  const { path: configPath, config } = await projectConfig.load(appPath, options.configPath);
+  
+  const presets = { ...projectConfig.getPreferences(config) };
+  for (const [key, value] of Object.entries(options.presets || {})) {
+    if (value !== undefined) {
+      presets[key] = value;
+    }
+  }
+  
+  if (configPath && !options.json) {
+    console.log(chalk.gray(`   Using settings from ${path.relative(process.cwd(), configPath) || configPath}`));
+  }
+  
+  const answers = await resolvePreferences(defaults, presets, options.interactive !== false);
+  
+  // Dry runs promise to write nothing, and --json runs are usually CI jobs that should not touch the repo
+  if (options.saveConfig !== false && !options.dryRun && !options.json) {
+    await projectConfig.save(appPath, answers, options.configPath);
+  }
+  
+  return { ...config, ...answers };
+}
+
+function formatCost(cost) {
+  if (cost === null) return 'unknown cost';
+  return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+}
+
+function formatUsage(usage) {
+  const cached = usage.cachedRequests > 0 ? ` (${usage.cachedRequests} from cache)` : '';
+  return `Tokens: ${usage.inputTokens} in / ${usage.outputTokens} out over ${usage.requests} requests${cached}, ~${formatCost(usage.estimatedCost)}`;
+}
+
+// Say where secrets were masked or files held back, never what they contained
+// Masking is only reported when something actually went to the model (a hybrid or fully cached run sends nothing)
+function printRedactions(redactions, usage) {
+  if (!redactions) {
+    return;
+  }
+  if (redactions.findings.length > 0 && usage.requests - usage.cachedRequests > 0) {
+    console.log(chalk.white(`   🔒 Secrets masked before sending: ${redactions.findings.map(f => `${f.file}:${f.line} (${f.kind})`).join(', ')}`));
+  }
+  if (redactions.ignoredFiles.length > 0) {
+    console.log(chalk.white(`   🙈 Never sent (ignored): ${redactions.ignoredFiles.join(', ')}`));
+  }
+}
+
+// Stop over --max-cost; ask when the estimate is above the config threshold or cannot be priced
+async function confirmEstimate(estimate, { maxCost, threshold, interactive }) {
+  const cost = estimate.estimatedCost;
+  const description = `~${estimate.inputTokens} input / ~${estimate.outputTokens} output tokens over ~${estimate.requests} requests, ~${formatCost(cost)}`;
+  
+  if (maxCost !== undefined && (cost === null || cost > maxCost)) {
+    console.log(chalk.red(`❌ Estimated ${description} exceeds --max-cost $${maxCost}`));
+    return false;
+  }
+  
+  if (!interactive || (cost !== null && cost < threshold)) {
+    return true;
+  }
+  
+  console.log(chalk.cyan(`\n💰 Estimated ${description} (before cache hits)`));
+  const { proceed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message: 'Start the AI run?',
+      default: true
+    }
+  ]);
+  
+  return proceed;
+}
+
+// A missing API key or bad provider settings are input errors, reported before any prompts
+function createAIIntegrator(config, options = {}) {
+  try {
+    return new AIIntegrator({
+      llm: config.llm,
+      llmOverrides: options.llm,
+      writePolicy: config.writePolicy,
+      promptsDir: config.promptsDir,
+      cache: options.cache !== undefined ? options.cache : config.cache,
+      concurrency: options.concurrency || config.concurrency
+    });
+  } catch (error) {
+    error.exitCode = EXIT_CODES.INVALID_INPUT;
+    throw error;
+  }
+}
+
+// AI-powered integration flow
+async function integrateAppWithAI(appPath, options = {}) {
+  // Set up the LLM provider first so a missing API key fails before any prompts
+  const { config } = await new ProjectConfig().load(appPath, options.configPath);
+  const aiIntegrator = createAIIntegrator(config, options);
+  
+  // With --git the answers are saved once the run's branch exists: a new config file would make
+  // the tree look dirty to the clean check, and this way it is committed with the run
+  const saveOnBranch = options.git && options.saveConfig !== false && !options.dryRun && !options.json;
+  
+  // Get user preferences; a resumed run keeps the ones it was started with
+  const answers = options.resume ? {} : await getProjectPreferences(appPath, {
+    appName: path.basename(appPath),
+    description: 'AI-powered application'
+  }, saveOnBranch ? { ...options, saveConfig: false } : options);
+  
+  // Review each hunk before writing, unless this is a dry run or already decided
+  let review = options.review;
+  if (review === undefined && !options.dryRun && options.interactive !== false) {
+    ({ review } = await inquirer.prompt([
       {
         type: 'confirm',
-        name: 'addDatabase',
-        message: 'Integrate with Weam database?',
+        name: 'review',
+        message: 'Review each change before it is written?',
         default: true
-      },
+      }
+    ]));
+  }
+  
+  // Use AI to integrate the app
+  const result = await aiIntegrator.integrateApp(appPath, {
+    ...answers,
+    contextTokens: options.contextTokens || answers.contextTokens,
+    dryRun: Boolean(options.dryRun),
+    review: Boolean(review),
+    git: Boolean(options.git),
+    gitBranch: options.gitBranch,
+    patchFile: options.patchFile,
+    onBranch: saveOnBranch ? () => new ProjectConfig().save(appPath, answers, options.configPath) : undefined,
+    resume: options.resume,
+    concurrency: options.concurrency,
+    hybrid: options.hybrid !== undefined ? options.hybrid : Boolean(config.hybrid),
+    confirmEstimate: (estimate) => confirmEstimate(estimate, {
+      maxCost: options.maxCost,
+      threshold: config.confirmCostAbove !== undefined ? config.confirmCostAbove : 0.1,
+      interactive: options.interactive !== false
+    })
+  });
+  
+  if (options.json) {
+    return result;
+  }
+  
+  if (result.cancelled) {
+    console.log(chalk.yellow('\n⏹️  Cancelled before any request was sent to the model'));
+    return result;
+  }
+  
+  if (result.dryRun) {
+    console.log(chalk.cyan.bold('\n🧷 Dry run - no files were written'));
+    console.log(chalk.white(`   Files with proposed changes: ${result.summary.successful}`));
+    console.log(chalk.white(`   Files failed: ${result.summary.failed}`));
+    if (result.summary.blocked.length > 0) {
+      console.log(chalk.white(`   Writes blocked by the path policy: ${result.summary.blocked.map(b => b.file).join(', ')}`));
+    }
+    console.log(chalk.white(`   ${formatUsage(result.summary.usage)}`));
+    printRedactions(result.redactions, result.summary.usage);
+    console.log(chalk.gray('Run again without --dry-run (or with --review) to apply the changes.'));
+    return result;
+  }
+  
+  // Show results
+  console.log(chalk.green.bold('\n✅ AI Integration Complete!'));
+  if (result.resumed) {
+    console.log(chalk.white(`   Resumed run ${result.runId}: ${result.skipped} changes were already done`));
+  }
+  console.log(chalk.white(`   Files modified: ${result.summary.successful}`));
+  console.log(chalk.white(`   Files failed: ${result.summary.failed}`));
+  if (result.hybrid) {
+    console.log(chalk.white(`   Codemod edits: ${result.hybrid.codemods.length}, left for the AI: ${result.hybrid.unresolved.length ? result.hybrid.unresolved.map(u => u.file || u.area).join(', ') : 'none'}`));
+  }
+  if (result.summary.rejected > 0) {
+    console.log(chalk.white(`   Files skipped in review: ${result.summary.rejected}`));
+  }
+  if (result.summary.blocked.length > 0) {
+    console.log(chalk.white(`   Writes blocked by the path policy: ${result.summary.blocked.map(b => b.file).join(', ')}`));
+  }
+  if (result.summary.failedValidation.length > 0) {
+    console.log(chalk.white(`   Kept original (failed checks after repair): ${result.summary.failedValidation.join(', ')}`));
+  }
+  
+  console.log(chalk.white(`   ${formatUsage(result.summary.usage)}`));
+  printRedactions(result.redactions, result.summary.usage);
+  
+  if (result.summary.failed > 0) {
+    console.log(chalk.yellow(`   ⚠️  ${result.summary.failed} files had issues - check the logs`));
+  }
+  
+  console.log(chalk.cyan.bold('\n🎉 Your app is now integrated with Weam!'));
+  console.log(chalk.gray('Next steps:'));
+  console.log(chalk.gray('1. Review the changes made by AI'));
+  console.log(chalk.gray('2. Test your app locally'));
+  console.log(chalk.gray('3. Deploy to Weam Supersolutions'));
+  console.log(chalk.gray(`\nOriginals saved under .weamint/runs/${result.runId} - revert with: weamint undo ${result.runId}`));
+  
+  if (result.git) {
+    console.log(chalk.blue.bold(`\n🌿 Committed on branch ${result.git.branch}:`));
+    result.git.commits.forEach(commit => {
+      console.log(chalk.white(`   ${commit.sha.slice(0, 7)} ${commit.subject}`));
+    });
+    console.log(chalk.gray(`   Patch: ${result.git.patchFile}`));
+    console.log(chalk.gray(`   Back to where you were: git checkout ${result.git.previousBranch}`));
+  }
+  
+  // Show modified files
+  if (result.changes.length > 0) {
+    console.log(chalk.blue.bold('\n📁 Modified Files:'));
+    result.changes.forEach(change => {
+      const status = change.success ? '✅' : change.rejected ? '⏭️ ' : '❌';
+      console.log(chalk.gray(`   ${status} ${change.file}`));
+    });
+  }
+  
+  // Git mode has already committed the run; follow-ups would land outside those commits
+  if (options.interactive !== false && !result.git) {
+    const { followUp } = await inquirer.prompt([
       {
         type: 'confirm',
-        name: 'addBranding',
-        message: 'Apply Weam branding (logo, navigation)?',
-        default: true
+        name: 'followUp',
+        message: 'Ask the AI for follow-up changes to this run?',
+        default: false
       }
     ]);
-    
-    // Use AI to integrate the app
-    const aiIntegrator = new AIIntegrator();
-    const result = await aiIntegrator.integrateApp(appPath, answers);
-    
-    // Show results
-    console.log(chalk.green.bold('\n✅ AI Integration Complete!'));
-    console.log(chalk.white(`   Files modified: ${result.summary.successful}`));
-    console.log(chalk.white(`   Files failed: ${result.summary.failed}`));
-    
-    if (result.summary.failed > 0) {
-      console.log(chalk.yellow(`   ⚠️  ${result.summary.failed} files had issues - check the logs`));
+    if (followUp) {
+      await chatAboutRun(appPath, { runId: result.runId, aiIntegrator, review: review !== false });
+    }
+  }
+  
+  return result;
+}
+
+// Follow-up chat on a finished run; every request becomes a reviewable diff recorded in the same manifest
+async function chatAboutRun(appPath, options = {}) {
+  const messages = options.messages || [];
+  const interactive = messages.length === 0;
+  if (interactive && options.interactive === false) {
+    const error = new Error('Pass the follow-up requests with --message when running non-interactively');
+    error.exitCode = EXIT_CODES.INVALID_INPUT;
+    throw error;
+  }
+  
+  const { config } = await new ProjectConfig().load(appPath, options.configPath);
+  const aiIntegrator = options.aiIntegrator || createAIIntegrator(config, options);
+  const session = await new FollowUpSession(aiIntegrator, appPath, {
+    diffTokens: options.contextTokens || config.contextTokens
+  }).start(options.runId);
+  const runId = session.run.runId;
+  
+  if (!options.json) {
+    console.log(chalk.cyan.bold(`\n💬 Follow-up on run ${runId}`));
+    if (interactive) {
+      console.log(chalk.gray('Describe a change (e.g. "also protect /api/generate"), or press Enter to finish.'));
+    }
+  }
+  
+  const followUps = [];
+  while (true) {
+    let message = messages[followUps.length];
+    if (interactive) {
+      ({ message } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'message',
+          message: 'Follow-up:'
+        }
+      ]));
+    }
+    if (!message || !message.trim()) {
+      break;
     }
     
-    console.log(chalk.cyan.bold('\n🎉 Your app is now integrated with Weam!'));
-    console.log(chalk.gray('Next steps:'));
-    console.log(chalk.gray('1. Review the changes made by AI'));
-    console.log(chalk.gray('2. Test your app locally'));
-    console.log(chalk.gray('3. Deploy to Weam Supersolutions'));
+    const followUp = await session.ask(message.trim(), {
+      dryRun: Boolean(options.dryRun),
+      review: Boolean(options.review),
+      concurrency: options.concurrency
+    });
+    followUps.push(followUp);
     
-    // Show modified files
-    if (result.changes.length > 0) {
-      console.log(chalk.blue.bold('\n📁 Modified Files:'));
-      result.changes.forEach(change => {
-        const status = change.success ? '✅' : '❌';
-        console.log(chalk.gray(`   ${status} ${change.file}`));
-      });
+    if (!options.json && followUp.recommendations.length === 0) {
+      console.log(chalk.yellow('   No file changes were proposed for that request'));
     }
-    
-  } catch (error) {
-    spinner.fail('AI integration failed!');
-    console.error(chalk.red.bold('\n❌ Error:'), error.message);
-    console.error(chalk.gray(error.stack));
-    process.exit(1);
   }
+  
+  const usage = aiIntegrator.usageTracker.summary();
+  if (!options.json && followUps.length > 0) {
+    console.log(chalk.white(`\n   ${formatUsage(usage)}`));
+    console.log(chalk.gray(`Follow-ups are part of run ${runId} - revert everything with: weamint undo ${runId}`));
+  }
+  
+  return {
+    runId,
+    dryRun: Boolean(options.dryRun),
+    followUps,
+    failed: followUps.reduce((count, f) => count + f.changes.filter(c => !c.success && !c.rejected).length, 0),
+    usage
+  };
 }
 
 // Traditional integration flow (for comparison)
-async function integrateApp(appPath) {
+async function integrateApp(appPath, options = {}) {
+  // Monorepo roots are integrated package by package
+  const workspace = await scanWorkspace(appPath, options.packages);
+  if (workspace) {
+    return integrateWorkspace(workspace, options);
+  }
+  
   const spinner = ora('Initializing AI App Integrator...').start();
   
   try {
@@ -140,61 +444,21 @@ async function integrateApp(appPath) {
     spinner.succeed('App structure analyzed!');
     
     // Step 2: Show analysis results
-    console.log(chalk.green.bold('\n📊 App Analysis Results:'));
-    console.log(chalk.white(`   App Type: ${appInfo.type}`));
-    console.log(chalk.white(`   Framework: ${appInfo.framework}`));
-    console.log(chalk.white(`   API Routes: ${appInfo.apiRoutes.length} found`));
-    console.log(chalk.white(`   Database Models: ${appInfo.models.length} found`));
-    console.log(chalk.white(`   Authentication: ${appInfo.hasAuth ? 'Detected' : 'Not found'}`));
+    if (!options.json) {
+      console.log(chalk.green.bold('\n📊 App Analysis Results:'));
+      console.log(chalk.white(`   App Type: ${appInfo.type}`));
+      console.log(chalk.white(`   Framework: ${appInfo.framework}`));
+      console.log(chalk.white(`   API Routes: ${appInfo.apiRoutes.length} found`));
+      console.log(chalk.white(`   Database Models: ${appInfo.models.length} found`));
+      console.log(chalk.white(`   Authentication: ${appInfo.hasAuth ? 'Detected' : 'Not found'}`));
+    }
     
     // Step 3: Get user preferences
-    const answers = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'appName',
-        message: 'What should this app be called in Weam?',
-        default: appInfo.name,
-        validate: (input) => input.length > 0 || 'App name is required'
-      },
-      {
-        type: 'input',
-        name: 'description',
-        message: 'Brief description of your app:',
-        default: appInfo.description
-      },
-      {
-        type: 'list',
-        name: 'category',
-        message: 'Which category should this app go in?',
-        choices: [
-          'Productivity',
-          'Creative',
-          'Analytics',
-          'Communication',
-          'Development',
-          'Marketing',
-          'Other'
-        ]
-      },
-      {
-        type: 'confirm',
-        name: 'addAuth',
-        message: 'Add Weam authentication to your app?',
-        default: !appInfo.hasAuth
-      },
-      {
-        type: 'confirm',
-        name: 'addDatabase',
-        message: 'Integrate with Weam database?',
-        default: true
-      },
-      {
-        type: 'confirm',
-        name: 'addBranding',
-        message: 'Apply Weam branding (logo, navigation)?',
-        default: true
-      }
-    ]);
+    const answers = await getProjectPreferences(appPath, {
+      appName: appInfo.name,
+      description: appInfo.description,
+      addAuth: !appInfo.hasAuth
+    }, options);
     
     // Step 4: Generate integration code
     spinner.start('⚡ Generating integration code...');
@@ -208,6 +472,12 @@ async function integrateApp(appPath) {
     const testResults = await tester.testIntegration(appPath, integrationFiles);
     spinner.succeed('Integration tests completed!');
     
+    const result = { appInfo, preferences: answers, integrationFiles, testResults };
+    
+    if (options.json) {
+      return result;
+    }
+    
     // Step 6: Show results
     console.log(chalk.green.bold('\n✅ Integration Complete!'));
     console.log(chalk.white(`   Files created: ${integrationFiles.length}`));
@@ -223,12 +493,167 @@ async function integrateApp(appPath) {
     console.log(chalk.gray('2. Test your app locally'));
     console.log(chalk.gray('3. Deploy to Weam Supersolutions'));
     
+    return result;
   } catch (error) {
     spinner.fail('Integration failed!');
-    console.error(chalk.red.bold('\n❌ Error:'), error.message);
-    console.error(chalk.gray(error.stack));
-    process.exit(1);
+    throw error;
+  }
+}
+
+// Scan a monorepo root, or return null for a single app; --package only makes sense on a workspace root
+async function scanWorkspace(appPath, names = []) {
+  const workspace = await new AppScanner().scanWorkspace(appPath);
+  
+  if (!workspace && names.length > 0) {
+    const error = new Error(`--package needs a workspace root, and ${appPath} has no npm/yarn/pnpm workspaces, Turborepo or Nx setup`);
+    error.exitCode = EXIT_CODES.INVALID_INPUT;
+    throw error;
   }
+  
+  return workspace;
+}
+
+// Packages picked by name or by path (apps/web)
+function findWorkspacePackages(workspace, names) {
+  const unknown = names.filter(name => !workspace.packages.some(pkg => pkg.name === name || pkg.path === name));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown workspace package: ${unknown.join(', ')} (found ${workspace.packages.map(pkg => pkg.name).join(', ')})`);
+    error.exitCode = EXIT_CODES.INVALID_INPUT;
+    throw error;
+  }
+  
+  return workspace.packages.filter(pkg => names.includes(pkg.name) || names.includes(pkg.path));
+}
+
+// --package wins; otherwise ask, defaulting to the apps plus any shared library that holds models
+async function selectWorkspacePackages(workspace, options = {}) {
+  if (options.packages && options.packages.length > 0) {
+    return findWorkspacePackages(workspace, options.packages);
+  }
+  
+  const defaults = workspace.packages.filter(pkg => pkg.role !== 'library' || pkg.appInfo.models.length > 0);
+  if (options.interactive === false) {
+    return defaults;
+  }
+  
+  const { selected } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selected',
+      message: 'Which packages should be integrated?',
+      choices: workspace.packages.map(pkg => ({
+        name: `${pkg.name} (${pkg.path}, ${pkg.role}, ${pkg.framework})`,
+        value: pkg.name,
+        checked: defaults.includes(pkg)
+      }))
+    }
+  ]);
+  
+  return findWorkspacePackages(workspace, selected);
+}
+
+// Auth belongs to the packages that serve requests, branding to the frontends and models to whoever declares them
+function getPackagePreferences(answers, pkg) {
+  return {
+    ...answers,
+    addAuth: answers.addAuth && pkg.role !== 'library',
+    addBranding: answers.addBranding && pkg.role === 'web',
+    addDatabase: answers.addDatabase && (pkg.appInfo.models.length > 0 || pkg.appInfo.hasDatabase),
+    addProxy: pkg.role !== 'library'
+  };
+}
+
+// Generate and test each selected package into weam-integration/<package path>
+async function integrateWorkspace(workspace, options = {}) {
+  if (!options.json) {
+    printWorkspaceResults(workspace);
+  }
+  
+  const selected = await selectWorkspacePackages(workspace, options);
+  if (selected.length === 0) {
+    const error = new Error('No workspace packages selected');
+    error.exitCode = EXIT_CODES.INVALID_INPUT;
+    throw error;
+  }
+  
+  // One set of answers for the whole repo, saved in the root project config
+  const answers = await getProjectPreferences(workspace.root, {
+    appName: workspace.name,
+    description: selected.map(pkg => pkg.appInfo.description).find(Boolean) || '',
+    addAuth: !selected.some(pkg => pkg.appInfo.hasAuth)
+  }, options);
+  
+  const spinner = ora();
+  const packages = [];
+  
+  try {
+    for (const pkg of selected) {
+      spinner.start(`⚡ Generating integration code for ${pkg.name}...`);
+      const generator = new CodeGenerator({ workspaceRoot: workspace.root, packagePath: pkg.path });
+      const integrationFiles = await generator.generateIntegration(pkg.appInfo, getPackagePreferences(answers, pkg));
+      spinner.succeed(`${pkg.name}: ${integrationFiles.length} files generated`);
+      
+      const testResults = await new IntegrationTester().testIntegration(path.join(workspace.root, pkg.path), integrationFiles);
+      packages.push({ name: pkg.name, path: pkg.path, role: pkg.role, framework: pkg.framework, appInfo: pkg.appInfo, integrationFiles, testResults });
+    }
+  } catch (error) {
+    spinner.fail('Integration failed!');
+    throw error;
+  }
+  
+  const testResults = ['passed', 'failed', 'total'].reduce((totals, key) => ({
+    ...totals,
+    [key]: packages.reduce((sum, pkg) => sum + pkg.testResults[key], 0)
+  }), { errors: packages.flatMap(pkg => pkg.testResults.errors.map(message => `${pkg.name}: ${message}`)) });
+  
+  const result = { workspace: { root: workspace.root, name: workspace.name, tools: workspace.tools }, preferences: answers, packages, testResults };
+  
+  if (options.json) {
+    return result;
+  }
+  
+  console.log(chalk.green.bold('\n✅ Integration Complete!'));
+  for (const pkg of packages) {
+    console.log(chalk.white(`   ${pkg.name}: ${pkg.integrationFiles.length} files, tests passed ${pkg.testResults.passed}/${pkg.testResults.total}`));
+  }
+  
+  if (testResults.failed > 0) {
+    console.log(chalk.yellow(`   ⚠️  ${testResults.failed} tests failed - check the logs`));
+  }
+  
+  console.log(chalk.cyan.bold('\n🎉 Your packages are now ready for Weam integration!'));
+  console.log(chalk.gray('Each package has its own folder under weam-integration/ - review and copy them into place.'));
+  
+  return result;
+}
+
+// ai-integrate edits one app at a time, so a workspace root needs a package to work on
+async function resolvePackagePath(appPath, options = {}) {
+  const workspace = await scanWorkspace(appPath, options.package ? [options.package] : []);
+  if (!workspace) {
+    return appPath;
+  }
+  
+  if (options.package) {
+    return path.join(appPath, findWorkspacePackages(workspace, [options.package])[0].path);
+  }
+  
+  if (options.interactive === false) {
+    const error = new Error(`${appPath} is a workspace root; pick a package with --package (${workspace.packages.map(pkg => pkg.name).join(', ')})`);
+    error.exitCode = EXIT_CODES.INVALID_INPUT;
+    throw error;
+  }
+  
+  const { packagePath } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'packagePath',
+      message: 'This is a monorepo. Which package should be integrated?',
+      choices: workspace.packages.map(pkg => ({ name: `${pkg.name} (${pkg.path}, ${pkg.role}, ${pkg.framework})`, value: pkg.path }))
+    }
+  ]);
+  
+  return path.join(appPath, packagePath);
 }
 
 // Main CLI Menu
@@ -319,7 +744,7 @@ async function handleAIIntegration() {
   }
   
   try {
-    await integrateAppWithAI(fullPath);
+    await integrateAppWithAI(await resolvePackagePath(fullPath));
   } catch (error) {
     console.log(chalk.red(`\n    ❌ Integration failed: ${error.message}`));
   }
@@ -391,18 +816,12 @@ async function handleScanApp() {
   }
   
   try {
-    const scanner = new AppScanner();
-    const appInfo = await scanner.scanApp(fullPath);
-    
-    console.log(chalk.green.bold('\n    📊 App Analysis Results:'));
-    console.log(chalk.white(`    App Name: ${appInfo.name}`));
-    console.log(chalk.white(`    Framework: ${appInfo.framework}`));
-    console.log(chalk.white(`    Type: ${appInfo.type}`));
-    console.log(chalk.white(`    API Routes: ${appInfo.apiRoutes.length}`));
-    console.log(chalk.white(`    Models: ${appInfo.models.length}`));
-    console.log(chalk.white(`    Components: ${appInfo.components.length}`));
-    console.log(chalk.white(`    Has Auth: ${appInfo.hasAuth ? 'Yes' : 'No'}`));
-    console.log(chalk.white(`    Has Database: ${appInfo.hasDatabase ? 'Yes' : 'No'}`));
+    const workspace = await scanWorkspace(fullPath);
+    if (workspace) {
+      printWorkspaceResults(workspace);
+    } else {
+      printScanResults(await new AppScanner().scanApp(fullPath));
+    }
   } catch (error) {
     console.log(chalk.red(`\n    ❌ Scan failed: ${error.message}`));
   }
@@ -411,6 +830,57 @@ async function handleScanApp() {
   await showMainMenu();
 }
 
+// Print the scan summary shown by the menu and the scan subcommand
+function printScanResults(appInfo) {
+  console.log(chalk.green.bold('\n    📊 App Analysis Results:'));
+  console.log(chalk.white(`    App Name: ${appInfo.name}`));
+  console.log(chalk.white(`    Framework: ${appInfo.framework}`));
+  if (appInfo.frameworkCandidates.length > 0) {
+    const ranked = appInfo.frameworkCandidates.slice(0, 3).map(candidate => `${candidate.framework} ${Math.round(candidate.confidence * 100)}%`);
+    console.log(chalk.gray(`      candidates: ${ranked.join(', ')}`));
+  }
+  console.log(chalk.white(`    Type: ${appInfo.type}`));
+  console.log(chalk.white(`    API Routes: ${appInfo.apiRoutes.length}`));
+  if (appInfo.pages.length > 0) {
+    const clientPages = appInfo.pages.filter(page => page.component === 'client').length;
+    console.log(chalk.white(`    Pages: ${appInfo.pages.length} (${clientPages} client, ${appInfo.pages.length - clientPages} server)`));
+  }
+  if (appInfo.nextConfig && appInfo.nextConfig.basePathEnv) {
+    console.log(chalk.white(`    Base Path: from ${appInfo.nextConfig.basePathEnv} (paths are listed without it)`));
+  }
+  console.log(chalk.white(`    Models: ${appInfo.models.length}`));
+  console.log(chalk.white(`    Components: ${appInfo.components.length}`));
+  console.log(chalk.white(`    Has Auth: ${appInfo.hasAuth ? 'Yes' : 'No'}`));
+  console.log(chalk.white(`    Has Database: ${appInfo.hasDatabase ? 'Yes' : 'No'}`));
+  
+  const variables = appInfo.env.variables.filter(variable => variable.category !== 'runtime');
+  if (variables.length > 0) {
+    const counts = ['weam', 'public', 'secret', 'config']
+      .map(category => [category, variables.filter(variable => variable.category === category).length])
+      .filter(([, count]) => count > 0)
+      .map(([category, count]) => `${count} ${category}`);
+    console.log(chalk.white(`    Env Vars: ${variables.length} (${counts.join(', ')})`));
+  }
+  for (const issue of appInfo.env.issues) {
+    console.log(chalk.yellow(`      ⚠️  ${issue.message}`));
+  }
+}
+
+// One line per package plus how the packages depend on each other
+function printWorkspaceResults(workspace, packages = workspace.packages) {
+  console.log(chalk.green.bold(`\n    📦 Workspace: ${workspace.name} (${workspace.tools.join(', ')})`));
+  for (const pkg of packages) {
+    console.log(chalk.white(`    ${pkg.name} - ${pkg.path}`));
+    console.log(chalk.gray(`      ${pkg.role}, ${pkg.framework}, ${pkg.appInfo.apiRoutes.length} API routes, ${pkg.appInfo.models.length} models`));
+    if (pkg.dependsOn.length > 0) {
+      console.log(chalk.gray(`      uses ${pkg.dependsOn.join(', ')}`));
+    }
+    if (pkg.usedBy.length > 0) {
+      console.log(chalk.gray(`      used by ${pkg.usedBy.join(', ')}`));
+    }
+  }
+}
+
 // Setup handler
 async function handleSetup() {
   console.log(chalk.yellow.bold('\n    ⚙️  Configuration Setup'));
@@ -491,8 +961,336 @@ async function waitForEnter() {
   });
 }
 
+// Flags that pre-answer the integration questions
+function addPreferenceOptions(command) {
+  return command
+    .option('--app-name <name>', 'name of the app in Weam')
+    .option('--description <text>', 'brief description of the app')
+    .addOption(new Option('--category <category>', 'Weam category').choices(CATEGORIES))
+    .option('--auth', 'add Weam authentication')
+    .option('--no-auth', 'skip Weam authentication')
+    .option('--database', 'integrate with the Weam database')
+    .option('--no-database', 'skip the Weam database integration')
+    .option('--branding', 'apply Weam branding')
+    .option('--no-branding', 'skip Weam branding')
+    .option('-y, --yes', 'use defaults for anything not given as a flag')
+    .option('-c, --config <file>', 'project config file (default: weamint.config.json or .weamintrc in the app)')
+    .option('--no-save-config', 'do not write the chosen answers back to the project config');
+}
+
+function addLLMOptions(command) {
+  return command
+    .addOption(new Option('--provider <name>', 'LLM provider').choices(Object.keys(PROVIDERS)))
+    .option('--model <model>', 'model name (or Azure deployment)')
+    .option('--temperature <number>', 'sampling temperature', parseFloat)
+    .option('--max-tokens <number>', 'maximum tokens per response', (value) => parseInt(value, 10))
+    .option('--base-url <url>', 'base URL for an OpenAI-compatible server such as Ollama')
+    .option('--replay <file>', 'replay recorded responses with the offline mock provider')
+    .option('--record <file>', 'save every LLM response to a replay file');
+}
+
+function getLLMOverrides(opts) {
+  return {
+    provider: opts.provider || (opts.replay ? 'mock' : undefined),
+    model: opts.model,
+    temperature: opts.temperature,
+    maxTokens: opts.maxTokens,
+    baseURL: opts.baseUrl,
+    replayFile: opts.replay,
+    recordFile: opts.record
+  };
+}
+
+function getPresets(opts) {
+  return {
+    appName: opts.appName,
+    description: opts.description,
+    category: opts.category,
+    addAuth: opts.auth,
+    addDatabase: opts.database,
+    addBranding: opts.branding
+  };
+}
+
+function getIntegrationOptions(opts) {
+  return {
+    presets: getPresets(opts),
+    packages: opts.package || [],
+    interactive: opts.interactive,
+    json: opts.json,
+    configPath: opts.config,
+    saveConfig: opts.saveConfig
+  };
+}
+
+function resolveAppPath(appPath) {
+  const fullPath = path.resolve(appPath);
+  
+  if (!fs.existsSync(fullPath)) {
+    const error = new Error(`Path does not exist: ${fullPath}`);
+    error.exitCode = EXIT_CODES.INVALID_INPUT;
+    throw error;
+  }
+  
+  return fullPath;
+}
+
+// Keep stdout clean for --json by sending progress logs to stderr
+function redirectLogsToStderr() {
+  const originalLog = console.log;
+  console.log = (...args) => console.error(...args);
+  return () => {
+    console.log = originalLog;
+  };
+}
+
+// Wrap a subcommand action with path checks, JSON output and exit codes
+function runCommand(action) {
+  return async (appPath, opts) => {
+    const restoreLogs = opts.json ? redirectLogsToStderr() : () => {};
+    
+    try {
+      const fullPath = resolveAppPath(appPath);
+      const { exitCode, output } = await action(fullPath, {
+        ...opts,
+        interactive: !opts.json && !opts.yes && Boolean(process.stdin.isTTY)
+      });
+      restoreLogs();
+      
+      if (opts.json) {
+        console.log(JSON.stringify({ success: exitCode === EXIT_CODES.SUCCESS, exitCode, ...output }, null, 2));
+      }
+      process.exitCode = exitCode;
+    } catch (error) {
+      restoreLogs();
+      const exitCode = error.exitCode || EXIT_CODES.FAILURE;
+      
+      if (opts.json) {
+        console.log(JSON.stringify({ success: false, exitCode, error: error.message }, null, 2));
+      } else {
+        console.error(chalk.red.bold('\n❌ Error:'), error.message);
+      }
+      process.exitCode = exitCode;
+    }
+  };
+}
+
+function createProgram() {
+  const program = new Command();
+  
+  program
+    .name('weamint')
+    .description('AI-powered CLI tool to automatically integrate vibecoded apps into Weam.ai')
+    .version(require('../package.json').version);
+  
+  program
+    .command('scan')
+    .description('Analyze an app without making any changes')
+    .argument('[path]', 'app directory', '.')
+    .option('--package <name>', 'only report this workspace package, by name or path (repeatable)', (value, previous) => [...(previous || []), value])
+    .option('--json', 'print the scan result as JSON')
+    .action(runCommand(async (appPath, opts) => {
+      const names = opts.package || [];
+      const workspace = await scanWorkspace(appPath, names);
+      if (workspace) {
+        const packages = names.length > 0 ? findWorkspacePackages(workspace, names) : workspace.packages;
+        if (!opts.json) {
+          printWorkspaceResults(workspace, packages);
+        }
+        return { exitCode: EXIT_CODES.SUCCESS, output: { workspace: { ...workspace, packages } } };
+      }
+      
+      const scanner = new AppScanner();
+      const appInfo = await scanner.scanApp(appPath);
+      
+      if (!opts.json) {
+        printScanResults(appInfo);
+      }
+      
+      return { exitCode: EXIT_CODES.SUCCESS, output: { appInfo } };
+    }));
+  
+  addPreferenceOptions(
+    program
+      .command('generate')
+      .description('Generate Weam integration files for an app')
+      .argument('[path]', 'app directory', '.')
+  )
+    .option('--package <name>', 'in a monorepo, integrate this package, by name or path (repeatable)', (value, previous) => [...(previous || []), value])
+    .option('--json', 'print the generated files and test results as JSON')
+    .action(runCommand(async (appPath, opts) => {
+      const result = await integrateApp(appPath, getIntegrationOptions(opts));
+      
+      return {
+        exitCode: result.testResults.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS,
+        output: result
+      };
+    }));
+  
+  addLLMOptions(addPreferenceOptions(
+    program
+      .command('ai-integrate')
+      .description('Let AI modify the app files to integrate with Weam')
+      .argument('[path]', 'app directory', '.')
+  ))
+    .option('--dry-run', 'show the proposed changes as diffs without writing anything')
+    .option('--review', 'accept, reject or edit each diff hunk before anything is written')
+    .option('--context-tokens <number>', 'token budget for file contents sent to the model (default 12000)', (value) => parseInt(value, 10))
+    .option('--no-cache', 'always call the model instead of reusing cached responses from .weamint/cache')
+    .option('--max-cost <usd>', 'cancel the run if its estimated cost is higher (no prompt)', parseFloat)
+    .option('--concurrency <number>', 'files edited in parallel (default 4)', (value) => parseInt(value, 10))
+    .option('--hybrid', 'make the well-known edits with deterministic codemods and use the AI only for the rest')
+    .option('--resume [runId]', 'continue an interrupted run from its manifest (latest by default)')
+    .option('--git', 'require a clean git tree, commit each integration area on a new branch and export a patch')
+    .option('--git-branch <name>', 'branch to create with --git', 'weam-integration')
+    .option('--patch-file <path>', 'where --git writes the patch (default .weamint/runs/<runId>/weam-integration.patch)')
+    .option('--package <name>', 'in a monorepo, the package to integrate, by name or path')
+    .option('--json', 'print the applied changes as JSON')
+    .action(runCommand(async (appPath, opts) => {
+      if (opts.review && !opts.interactive) {
+        const error = new Error('--review needs an interactive terminal (drop --json/--yes or use --dry-run)');
+        error.exitCode = EXIT_CODES.INVALID_INPUT;
+        throw error;
+      }
+      
+      const result = await integrateAppWithAI(await resolvePackagePath(appPath, opts), {
+        ...getIntegrationOptions(opts),
+        dryRun: opts.dryRun,
+        review: opts.review,
+        contextTokens: opts.contextTokens,
+        cache: opts.cache === false ? false : undefined,
+        concurrency: opts.concurrency,
+        resume: opts.resume,
+        hybrid: opts.hybrid,
+        maxCost: opts.maxCost,
+        git: opts.git,
+        gitBranch: opts.gitBranch,
+        patchFile: opts.patchFile,
+        llm: getLLMOverrides(opts)
+      });
+      
+      return {
+        exitCode: result.cancelled ? EXIT_CODES.FAILURE
+          : result.summary.failed > 0 || result.summary.blocked.length > 0 ? EXIT_CODES.PARTIAL
+            : EXIT_CODES.SUCCESS,
+        output: result
+      };
+    }));
+  
+  program
+    .command('undo')
+    .description('Restore the files changed by an AI run (latest run by default)')
+    .argument('[runId]', 'run id from .weamint/runs')
+    .option('-p, --path <path>', 'app directory', '.')
+    .option('--json', 'print the restored files as JSON')
+    .action((runId, opts) => runCommand(async (appPath) => {
+      const runManager = new RunManager(appPath);
+      const result = await runManager.undo(runId);
+      
+      if (!opts.json) {
+        console.log(chalk.green.bold(`\n✅ Undid run ${result.runId}`));
+        result.restored.forEach(file => console.log(chalk.gray(`   ↩️  ${file}`)));
+      }
+      
+      return { exitCode: EXIT_CODES.SUCCESS, output: result };
+    })(opts.path, opts));
+  
+  addLLMOptions(
+    program
+      .command('chat')
+      .description('Ask for follow-up changes to a finished AI run (latest run by default)')
+      .argument('[runId]', 'run id from .weamint/runs')
+      .option('-p, --path <path>', 'app directory', '.')
+  )
+    .option('-m, --message <text>', 'follow-up request to apply without prompting (repeatable)', (value, previous) => [...(previous || []), value])
+    .option('--dry-run', 'show the proposed follow-up changes as diffs without writing anything')
+    .option('--review', 'accept, reject or edit each diff hunk before anything is written (default when chatting)')
+    .option('--no-review', 'write follow-up changes without reviewing them')
+    .option('--no-cache', 'always call the model instead of reusing cached responses from .weamint/cache')
+    .option('-y, --yes', 'do not prompt; needs --message')
+    .option('-c, --config <file>', 'project config file (default: weamint.config.json or .weamintrc in the app)')
+    .option('--json', 'print the follow-ups and their changes as JSON')
+    .action((runId, opts) => runCommand(async (appPath, opts) => {
+      if (opts.review && !opts.interactive) {
+        const error = new Error('--review needs an interactive terminal (drop --json/--yes or use --dry-run)');
+        error.exitCode = EXIT_CODES.INVALID_INPUT;
+        throw error;
+      }
+      
+      const result = await chatAboutRun(appPath, {
+        runId,
+        configPath: opts.config,
+        messages: opts.message,
+        interactive: opts.interactive,
+        json: opts.json,
+        dryRun: opts.dryRun,
+        // Chatting reviews every diff unless told otherwise; scripted follow-ups are written directly
+        review: opts.review !== false && opts.interactive && !opts.dryRun,
+        cache: opts.cache === false ? false : undefined,
+        llm: getLLMOverrides(opts)
+      });
+      
+      return {
+        exitCode: result.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS,
+        output: result
+      };
+    })(opts.path, opts));
+  
+  program
+    .command('prompts')
+    .description('List the prompt packs AI mode can use, or copy a built-in pack into the app to tune it')
+    .argument('[path]', 'app directory', '.')
+    .option('--eject <name>', 'copy a built-in pack into the app\'s prompt directory')
+    .option('-c, --config <file>', 'project config file (default: weamint.config.json or .weamintrc in the app)')
+    .option('--json', 'print the packs as JSON')
+    .action(runCommand(async (appPath, opts) => {
+      const { config } = await new ProjectConfig().load(appPath, opts.config);
+      const promptPacks = new PromptPacks({ dir: config.promptsDir });
+      
+      if (opts.eject) {
+        let target;
+        try {
+          target = path.relative(appPath, await promptPacks.eject(appPath, opts.eject));
+        } catch (error) {
+          error.exitCode = EXIT_CODES.INVALID_INPUT;
+          throw error;
+        }
+        
+        if (!opts.json) {
+          console.log(chalk.green(`✅ Copied the ${opts.eject} pack to ${target} - its sections now replace the built-in ones`));
+        }
+        return { exitCode: EXIT_CODES.SUCCESS, output: { ejected: target } };
+      }
+      
+      const packs = await promptPacks.list(appPath);
+      if (!opts.json) {
+        console.log(chalk.blue.bold(`\n📝 Prompt packs (project overrides in ${path.relative(appPath, promptPacks.getProjectDir(appPath))}/):`));
+        packs.forEach(pack => {
+          console.log(chalk.white(`   ${pack.name.padEnd(10)} ${pack.title} - ${Object.keys(pack.sections).join(', ')}`) + chalk.gray(` (${pack.source})`));
+        });
+      }
+      
+      return { exitCode: EXIT_CODES.SUCCESS, output: { packs } };
+    }));
+  
+  program
+    .command('ui')
+    .description('Start the web interface')
+    .action(() => {
+      require('./ui/server');
+    });
+  
+  return program;
+}
+
 // Main entry point
 async function main() {
+  // Subcommands run without a TTY; no arguments opens the menu
+  if (process.argv.length > 2) {
+    await createProgram().parseAsync(process.argv);
+    return;
+  }
+  
   try {
     while (true) {
       await showMainMenu();
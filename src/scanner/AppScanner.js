@@ -3,16 +3,32 @@ const path = require('path');
 const glob = require('glob');
 const cheerio = require('cheerio');
 
+const RouteExtractor = require('./RouteExtractor');
+const NextRouteModel = require('./NextRouteModel');
+const MongooseModelExtractor = require('./MongooseModelExtractor');
+const PrismaModelExtractor = require('./PrismaModelExtractor');
+const SequelizeModelExtractor = require('./SequelizeModelExtractor');
+const TypeOrmModelExtractor = require('./TypeOrmModelExtractor');
+const DrizzleModelExtractor = require('./DrizzleModelExtractor');
+const WorkspaceScanner = require('./WorkspaceScanner');
+const FrameworkDetector = require('./FrameworkDetector');
+const EnvScanner = require('./EnvScanner');
+
 class AppScanner {
   constructor() {
-    this.supportedFrameworks = {
-      'next.js': ['next.config.js', 'next.config.ts', 'pages/', 'app/'],
-      'react': ['src/', 'public/', 'package.json'],
-      'express': ['server.js', 'app.js', 'index.js', 'routes/'],
-      'vue': ['vue.config.js', 'src/', 'components/'],
-      'angular': ['angular.json', 'src/', 'package.json'],
-      'svelte': ['svelte.config.js', 'src/', 'package.json']
-    };
+    this.frameworkDetector = new FrameworkDetector();
+    this.envScanner = new EnvScanner();
+    this.routeExtractor = new RouteExtractor();
+    this.workspaces = new WorkspaceScanner();
+    this.nextRoutes = new NextRouteModel();
+    // Every extractor returns models in the same shape, so the integration steps do not depend on the ORM
+    this.modelExtractors = [
+      new MongooseModelExtractor(),
+      new PrismaModelExtractor(),
+      new SequelizeModelExtractor(),
+      new TypeOrmModelExtractor(),
+      new DrizzleModelExtractor()
+    ];
   }
 
   async scanApp(appPath) {
@@ -21,9 +37,13 @@ class AppScanner {
       path: appPath,
       type: 'unknown',
       framework: 'unknown',
+      frameworkCandidates: [],
       description: '',
       version: '1.0.0',
       apiRoutes: [],
+      pages: [],
+      nextConfig: null,
+      env: { files: [], variables: [], issues: [] },
       models: [],
       components: [],
       hasAuth: false,
@@ -35,14 +55,24 @@ class AppScanner {
 
     try {
       // Read package.json
-      await this.analyzePackageJson(appPath, appInfo);
+      const packageJson = await this.analyzePackageJson(appPath, appInfo);
       
       // Detect framework
-      await this.detectFramework(appPath, appInfo);
+      await this.detectFramework(appPath, appInfo, packageJson);
+      
+      // Read next.config for the basePath every Next.js URL starts with
+      if (this.isNextApp(appInfo)) {
+        appInfo.nextConfig = await this.nextRoutes.readConfig(appPath);
+      }
       
       // Scan API routes
       await this.scanApiRoutes(appPath, appInfo);
       
+      // Scan Next.js pages
+      if (this.isNextApp(appInfo)) {
+        appInfo.pages = await this.nextRoutes.scanPages(appPath, appInfo.nextConfig);
+      }
+      
       // Scan database models
       await this.scanDatabaseModels(appPath, appInfo);
       
@@ -55,6 +85,9 @@ class AppScanner {
       // Check for database integration
       await this.checkDatabaseIntegration(appPath, appInfo);
       
+      // Inventory environment variables
+      appInfo.env = await this.envScanner.scan(appPath);
+      
       // Analyze file structure
       await this.analyzeStructure(appPath, appInfo);
       
@@ -67,6 +100,35 @@ class AppScanner {
     }
   }
 
+  // Each package of a monorepo scanned as its own app, or null when appPath is not a workspace root
+  async scanWorkspace(appPath) {
+    const layout = await this.workspaces.detect(appPath);
+    if (!layout) {
+      return null;
+    }
+    
+    const workspaceNames = layout.packages.map(pkg => pkg.name);
+    const packages = [];
+    for (const pkg of layout.packages) {
+      const appInfo = await this.scanApp(path.join(appPath, pkg.path));
+      packages.push({
+        name: pkg.name,
+        path: pkg.path,
+        role: this.workspaces.getRole(pkg, appInfo),
+        framework: appInfo.framework,
+        // Workspace packages this one imports, such as a shared db or ui package
+        dependsOn: Object.keys(pkg.dependencies).filter(name => workspaceNames.includes(name)),
+        appInfo
+      });
+    }
+    
+    for (const pkg of packages) {
+      pkg.usedBy = packages.filter(other => other.dependsOn.includes(pkg.name)).map(other => other.name);
+    }
+    
+    return { root: appPath, name: layout.name, tools: layout.tools, packages };
+  }
+
   async analyzePackageJson(appPath, appInfo) {
     const packageJsonPath = path.join(appPath, 'package.json');
     
@@ -81,38 +143,20 @@ class AppScanner {
         ...packageJson.devDependencies
       };
       
-      // Detect app type based on dependencies
-      if (packageJson.dependencies?.next) {
-        appInfo.type = 'web-app';
-        appInfo.framework = 'next.js';
-      } else if (packageJson.dependencies?.react) {
-        appInfo.type = 'web-app';
-        appInfo.framework = 'react';
-      } else if (packageJson.dependencies?.express) {
-        appInfo.type = 'api-server';
-        appInfo.framework = 'express';
-      } else if (packageJson.dependencies?.vue) {
-        appInfo.type = 'web-app';
-        appInfo.framework = 'vue';
-      }
+      return packageJson;
     }
+    
+    return {};
   }
 
-  async detectFramework(appPath, appInfo) {
-    for (const [framework, indicators] of Object.entries(this.supportedFrameworks)) {
-      let matches = 0;
-      
-      for (const indicator of indicators) {
-        const indicatorPath = path.join(appPath, indicator);
-        if (await fs.pathExists(indicatorPath)) {
-          matches++;
-        }
-      }
-      
-      if (matches >= indicators.length / 2) {
-        appInfo.framework = framework;
-        break;
-      }
+  // Ranked candidates with their evidence; the framework is only set when the best one is confident enough
+  async detectFramework(appPath, appInfo, packageJson) {
+    appInfo.frameworkCandidates = await this.frameworkDetector.detect(appPath, packageJson);
+    
+    const best = this.frameworkDetector.pick(appInfo.frameworkCandidates);
+    if (best) {
+      appInfo.framework = best.framework;
+      appInfo.type = best.type;
     }
   }
 
@@ -123,111 +167,172 @@ class AppScanner {
       '**/routes/**/*.js',
       '**/routes/**/*.ts',
       '**/server/**/*.js',
-      '**/server/**/*.ts'
+      '**/server/**/*.ts',
+      // App Router handlers can live outside api/ (app/auth/callback/route.ts)
+      '{src/,}app/**/route.{js,mjs,ts}',
+      // Entry files where Express apps usually declare their first routes
+      '{server,app,index,main}.{js,mjs,cjs,ts}',
+      'src/{server,app,index,main}.{js,mjs,cjs,ts}'
     ];
 
+    // A file can match several patterns but is scanned once
+    const files = new Set();
     for (const pattern of routePatterns) {
-      const files = glob.sync(pattern, { cwd: appPath });
+      glob.sync(pattern, { cwd: appPath, ignore: ['**/node_modules/**', '**/.next/**', '**/dist/**', '**/build/**'] })
+        .forEach(file => files.add(file));
+    }
+    
+    // Routers mounted from other modules, and the modules routes' receivers are imported from, are followed even when no pattern matched them
+    const analyses = new Map();
+    const queue = [...files].sort();
+    while (queue.length > 0) {
+      const file = queue.shift();
+      if (analyses.has(file)) continue;
       
-      for (const file of files) {
-        const filePath = path.join(appPath, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        
-        // Extract route information
-        const routes = this.extractRoutes(content, file);
-        appInfo.apiRoutes.push(...routes);
+      const content = await fs.readFile(path.join(appPath, file), 'utf8');
+      const analysis = this.routeExtractor.analyze(content, file);
+      analyses.set(file, analysis);
+      
+      const links = [
+        ...analysis.mounts.map(m => m.target).filter(target => target.source),
+        ...analysis.routes.map(r => r.routerImport).filter(Boolean)
+      ];
+      for (const link of links) {
+        link.file = await this.resolveModule(appPath, file, link.source);
+        if (link.file) {
+          queue.push(link.file);
+        }
       }
     }
+    
+    appInfo.apiRoutes.push(...this.applyMounts(analyses).map(route => route.framework === 'next.js'
+      ? { ...route, path: this.nextRoutes.withBasePath(route.path, appInfo.nextConfig) }
+      : route));
   }
 
-  extractRoutes(content, filePath) {
-    const routes = [];
+  isNextApp(appInfo) {
+    return appInfo.framework === 'next.js' || Boolean(appInfo.dependencies.next);
+  }
+
+  // App-relative file behind a relative require/import, or null for packages and missing files
+  async resolveModule(appPath, fromFile, source) {
+    if (!source.startsWith('.')) {
+      return null;
+    }
     
-    // Express.js routes
-    const expressMatches = content.match(/app\.(get|post|put|delete|patch)\s*\(\s*['"`]([^'"`]+)['"`]/g);
-    if (expressMatches) {
-      expressMatches.forEach(match => {
-        const method = match.match(/\.(get|post|put|delete|patch)/)[1].toUpperCase();
-        const path = match.match(/['"`]([^'"`]+)['"`]/)[1];
-        routes.push({
-          method,
-          path,
-          file: filePath,
-          framework: 'express'
-        });
-      });
+    const base = path.posix.join(path.posix.dirname(fromFile.replace(/\\/g, '/')), source);
+    const extensions = ['.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx'];
+    const candidates = [
+      base,
+      // TypeScript sources imported with the compiled extension
+      base.replace(/\.js$/, '.ts'),
+      ...extensions.map(extension => base + extension),
+      ...extensions.map(extension => `${base}/index${extension}`)
+    ];
+    
+    for (const candidate of candidates) {
+      const filePath = path.join(appPath, candidate);
+      if (this.routeExtractor.isParseable(candidate) && await fs.pathExists(filePath) && (await fs.stat(filePath)).isFile()) {
+        return candidate;
+      }
     }
     
-    // Next.js API routes
-    const nextMatches = content.match(/export\s+(default\s+)?(async\s+)?function\s+(GET|POST|PUT|DELETE|PATCH)/gi);
-    if (nextMatches) {
-      const method = nextMatches[0].match(/(GET|POST|PUT|DELETE|PATCH)/i)[0];
-      const routePath = filePath.replace(/.*\/api\//, '/api/').replace(/\/route\.(js|ts)$/, '');
-      routes.push({
-        method,
-        path: routePath,
-        file: filePath,
-        framework: 'next.js'
-      });
+    return null;
+  }
+
+  // Express routes with the prefixes of every .use() they are mounted under, so paths are the public URLs
+  applyMounts(analyses) {
+    const key = (file, router) => `${file}#${router}`;
+    const parents = new Map();
+    
+    for (const [file, analysis] of analyses) {
+      for (const mount of analysis.mounts) {
+        const target = mount.target.local
+          ? key(file, mount.target.local)
+          : mount.target.file && this.getExportedRouter(analyses.get(mount.target.file), mount.target.file, mount.target.name);
+        if (!target) continue;
+        
+        if (!parents.has(target)) {
+          parents.set(target, []);
+        }
+        parents.get(target).push({ parent: key(file, mount.router), prefix: mount.prefix });
+      }
+    }
+    
+    // A router mounted in several places serves its routes under each prefix
+    const getPrefixes = (node, seen = new Set()) => {
+      if (!parents.has(node) || seen.has(node)) {
+        return [''];
+      }
+      const prefixes = parents.get(node).flatMap(({ parent, prefix }) =>
+        getPrefixes(parent, new Set([...seen, node])).map(outer => this.joinRoutePaths(outer, prefix))
+      );
+      return [...new Set(prefixes)];
+    };
+    
+    const routes = [];
+    for (const file of [...analyses.keys()].sort()) {
+      for (const { routerImport, ...route } of analyses.get(file).routes) {
+        if (!route.router) {
+          routes.push(route);
+          continue;
+        }
+        
+        // An imported receiver is only a router if its module exports one; otherwise it is something like an HTTP client
+        const router = routerImport
+          ? routerImport.file && this.getExportedRouter(analyses.get(routerImport.file), routerImport.file, routerImport.name)
+          : key(file, route.router);
+        if (!router) continue;
+        
+        for (const prefix of getPrefixes(router)) {
+          routes.push(prefix
+            ? { ...route, path: this.joinRoutePaths(prefix, route.path), mountPath: prefix }
+            : route);
+        }
+      }
     }
     
     return routes;
   }
 
+  // Graph key of the router a module exports under `name`; a module with a single router needs no export match
+  getExportedRouter(analysis, file, name) {
+    const routers = new Set(analysis.routers);
+    const local = analysis.exports[name] || (routers.size === 1 ? [...routers][0] : null);
+    
+    return local && routers.has(local) ? `${file}#${local}` : null;
+  }
+
+  joinRoutePaths(prefix, routePath) {
+    const joined = `/${prefix}/${routePath}`.replace(/\/{2,}/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+  }
+
+  extractRoutes(content, filePath) {
+    return this.routeExtractor.extract(content, filePath);
+  }
+
   async scanDatabaseModels(appPath, appInfo) {
-    const modelPatterns = [
-      '**/models/**/*.js',
-      '**/models/**/*.ts',
-      '**/schemas/**/*.js',
-      '**/schemas/**/*.ts'
-    ];
+    // Models live wherever the ORM allows (prisma/, src/db/schema.ts, *.entity.ts), so every source file is checked
+    const files = glob.sync('**/*.{js,mjs,cjs,ts,mts,cts,prisma}', {
+      cwd: appPath,
+      ignore: ['**/node_modules/**', '**/.next/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/*.d.ts']
+    });
 
-    for (const pattern of modelPatterns) {
-      const files = glob.sync(pattern, { cwd: appPath });
+    for (const file of files.sort()) {
+      const filePath = path.join(appPath, file);
+      const content = await fs.readFile(filePath, 'utf8');
       
-      for (const file of files) {
-        const filePath = path.join(appPath, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        
-        // Extract model information
-        const models = this.extractModels(content, file);
-        appInfo.models.push(...models);
-      }
+      // Extract model information
+      const models = this.extractModels(content, file);
+      appInfo.models.push(...models);
     }
   }
 
   extractModels(content, filePath) {
-    const models = [];
-    
-    // Mongoose models
-    const mongooseMatches = content.match(/const\s+(\w+)\s*=\s*mongoose\.model\s*\(\s*['"`]([^'"`]+)['"`]/g);
-    if (mongooseMatches) {
-      mongooseMatches.forEach(match => {
-        const name = match.match(/const\s+(\w+)/)[1];
-        const collection = match.match(/['"`]([^'"`]+)['"`]/)[1];
-        models.push({
-          name,
-          collection,
-          file: filePath,
-          type: 'mongoose'
-        });
-      });
-    }
-    
-    // Prisma models
-    const prismaMatches = content.match(/model\s+(\w+)\s*\{/g);
-    if (prismaMatches) {
-      prismaMatches.forEach(match => {
-        const name = match.match(/model\s+(\w+)/)[1];
-        models.push({
-          name,
-          file: filePath,
-          type: 'prisma'
-        });
-      });
-    }
-    
-    return models;
+    return this.modelExtractors
+      .filter(extractor => extractor.matches(content, filePath))
+      .flatMap(extractor => extractor.extract(content, filePath));
   }
 
   async scanComponents(appPath, appInfo) {
@@ -326,6 +431,8 @@ class AppScanner {
       'sequelize',
       'typeorm',
       'mongodb',
+      '@prisma/client',
+      'drizzle-orm',
       'mysql',
       'postgresql',
       'sqlite'
@@ -386,6 +493,11 @@ class AppScanner {
     
     // Database models that need user association
     appInfo.models.forEach(model => {
+      // Models that already carry ownership, and the user collection itself, need nothing
+      if ((model.hasUserId && model.hasCompanyId) || /^users?$/i.test(model.name)) {
+        return;
+      }
+      
       integrationPoints.push({
         type: 'database',
         location: model.file,
@@ -409,7 +521,8 @@ class AppScanner {
 
   needsAuth(routePath) {
     const protectedPaths = ['/api/', '/admin/', '/dashboard/', '/profile/'];
-    return protectedPaths.some(protectedPath => routePath.includes(protectedPath));
+    // Mounted paths have no trailing slash, so "/admin" itself counts
+    return protectedPaths.some(protectedPath => `${routePath}/`.includes(protectedPath));
   }
 
   needsBranding(componentName) {
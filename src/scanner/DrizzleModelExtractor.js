@@ -0,0 +1,122 @@
+const traverse = require('@babel/traverse').default;
+
+const { parseSource } = require('../utils/parseSource');
+const { getOwnershipFlags } = require('./modelFields');
+
+// pgTable, mysqlTable, sqliteTable and singlestoreTable
+const TABLE_FUNCTION = /^(pg|mysql|sqlite|singlestore)Table$/;
+
+// Drizzle tables: export const documents = pgTable('documents', { ... }, (table) => [index(...).on(table.userId)])
+class DrizzleModelExtractor {
+  matches(content, filePath) {
+    return /\.(js|mjs|cjs|ts|mts|cts)$/.test(filePath) && /drizzle-orm/.test(content) && /Table\s*\(/.test(content);
+  }
+
+  extract(content, filePath) {
+    let ast;
+    try {
+      ast = parseSource(filePath, content);
+    } catch (error) {
+      return [];
+    }
+    
+    const tables = [];
+    const indexCalls = [];
+    
+    traverse(ast, {
+      VariableDeclarator: (nodePath) => {
+        const { id, init } = nodePath.node;
+        if (id.type === 'Identifier' && init && init.type === 'CallExpression' && this.isTableCall(init)) {
+          tables.push({ name: id.name, call: init });
+        }
+      },
+      // index('documents_user_idx').on(table.userId), uniqueIndex(...).on(...)
+      CallExpression: (nodePath) => {
+        const { callee, arguments: args } = nodePath.node;
+        if (callee.type === 'MemberExpression' && callee.property.name === 'on' && callee.object.type === 'CallExpression' &&
+          ['index', 'uniqueIndex'].includes(callee.object.callee.name)) {
+          indexCalls.push({
+            start: nodePath.node.start,
+            fields: args.filter(arg => arg.type === 'MemberExpression').map(arg => arg.property.name),
+            unique: callee.object.callee.name === 'uniqueIndex'
+          });
+        }
+      }
+    });
+    
+    return tables.map(({ name, call }) => {
+      const [tableName, columnsArg, extra] = call.arguments;
+      // Newer Drizzle also accepts the columns as (t) => ({ ... })
+      const columns = columnsArg && (columnsArg.type === 'ArrowFunctionExpression' ? columnsArg.body : columnsArg);
+      const fields = columns && columns.type === 'ObjectExpression' ? this.readColumns(columns) : {};
+      const indexes = [
+        ...Object.entries(fields).filter(([, field]) => field.unique).map(([field]) => ({ fields: { [field]: 1 }, unique: true })),
+        ...indexCalls
+          .filter(index => extra && index.start >= extra.start && index.start < extra.end)
+          .map(index => ({ fields: Object.fromEntries(index.fields.map(field => [field, 1])), ...(index.unique && { unique: true }) }))
+      ];
+      
+      return {
+        name,
+        collection: tableName && tableName.type === 'StringLiteral' ? tableName.value : name,
+        file: filePath,
+        line: call.loc.start.line,
+        type: 'drizzle',
+        dialect: this.getDialect(call),
+        fields,
+        indexes,
+        ...getOwnershipFlags(fields)
+      };
+    });
+  }
+
+  // pgTable -> 'pg'; schema.table() is almost always pgSchema
+  getDialect(call) {
+    const match = call.callee.type === 'Identifier' && call.callee.name.match(TABLE_FUNCTION);
+    return match ? match[1] : 'pg';
+  }
+
+  isTableCall(node) {
+    const callee = node.callee;
+    // pgTable(...) or mySchema.table(...)
+    return (callee.type === 'Identifier' && TABLE_FUNCTION.test(callee.name)) ||
+      (callee.type === 'MemberExpression' && callee.property.name === 'table');
+  }
+
+  // userId: text('user_id').notNull().references(() => users.id)
+  readColumns(objectNode) {
+    const fields = {};
+    
+    for (const property of objectNode.properties.filter(p => p.type === 'ObjectProperty')) {
+      const key = property.key.name || property.key.value;
+      const modifiers = [];
+      let current = property.value;
+      while (current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+        modifiers.push({ name: current.callee.property.name, args: current.arguments });
+        current = current.callee.object;
+      }
+      if (current.type !== 'CallExpression' || current.callee.type !== 'Identifier') continue;
+      
+      const field = { type: current.callee.name };
+      const columnName = current.arguments[0];
+      if (columnName && columnName.type === 'StringLiteral' && columnName.value !== key) field.column = columnName.value;
+      
+      for (const { name, args } of modifiers) {
+        if (name === 'primaryKey') field.primaryKey = true;
+        if (name === 'notNull' || name === 'primaryKey') field.required = true;
+        if (name === 'unique') field.unique = true;
+        if (name === 'array') field.array = true;
+        if (name === 'references' && args[0] && args[0].type === 'ArrowFunctionExpression') {
+          const target = args[0].body;
+          if (target.type === 'MemberExpression' && target.object.type === 'Identifier') field.ref = target.object.name;
+        }
+      }
+      
+      fields[key] = field;
+    }
+    
+    return fields;
+  }
+}
+
+module.exports = DrizzleModelExtractor;
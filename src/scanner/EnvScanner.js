@@ -0,0 +1,238 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const traverse = require('@babel/traverse').default;
+
+const { parseSource } = require('../utils/parseSource');
+
+// Files that document the variables an app expects; real .env files are never read
+const EXAMPLE_FILES = ['.env.example', '.env.sample', '.env.template', '.env.local.example', 'env.example', 'example.env'];
+
+// Prefixes bundlers inline into client code
+const PUBLIC_PREFIXES = ['NEXT_PUBLIC_', 'VITE_', 'PUBLIC_', 'NUXT_PUBLIC_', 'REACT_APP_', 'EXPO_PUBLIC_', 'GATSBY_'];
+
+// Variables the generated Weam files read
+const WEAM_VARIABLES = ['WEAM_COOKIE_NAME', 'WEAM_COOKIE_PASSWORD', 'MONGODB_URI', 'APP_BASE_URL'];
+
+// Set by Node, the framework or the bundler, so nobody has to provide them
+const RUNTIME_VARIABLES = ['NODE_ENV', 'NEXT_PHASE', 'NEXT_RUNTIME', 'MODE', 'DEV', 'PROD', 'SSR', 'BASE_URL', 'CI', 'VERCEL', 'VERCEL_ENV', 'VERCEL_URL'];
+
+// Well-known names a typo is compared against
+const KNOWN_VARIABLES = [
+  ...WEAM_VARIABLES,
+  'WEAM_BASE_URL',
+  'DATABASE_URL',
+  'MONGODB_DB',
+  'REDIS_URL',
+  'NEXT_PUBLIC_API_BASE_PATH',
+  'OPENAI_API_KEY',
+  'ANTHROPIC_API_KEY',
+  'GEMINI_API_KEY',
+  'SESSION_SECRET',
+  'JWT_SECRET'
+];
+
+const SECRET_PATTERN = /SECRET|PASSWORD|PASSWD|TOKEN|API_KEY|PRIVATE|CREDENTIAL|DATABASE_URL|_URI$|_DSN$/;
+
+// Every process.env / import.meta.env read in the source plus the .env.example entries, classified,
+// and the gaps between the two
+class EnvScanner {
+  async scan(appPath) {
+    const variables = new Map();
+    const entry = (name) => {
+      if (!variables.has(name)) {
+        variables.set(name, { name, category: this.classify(name), referencedIn: [], declaredIn: [], optional: true });
+      }
+      return variables.get(name);
+    };
+    
+    const sources = glob.sync('**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts,vue,svelte,astro}', {
+      cwd: appPath,
+      ignore: ['**/node_modules/**', '**/.next/**', '**/.nuxt/**', '**/.svelte-kit/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/*.d.ts']
+    });
+    for (const file of sources.sort()) {
+      const content = await fs.readFile(path.join(appPath, file), 'utf8');
+      for (const reference of this.findReferences(content, file)) {
+        const variable = entry(reference.name);
+        variable.referencedIn.push({ file, line: reference.line });
+        // One read without a fallback makes the variable required
+        variable.optional = variable.optional && reference.hasDefault;
+      }
+    }
+    
+    const files = [];
+    for (const file of EXAMPLE_FILES) {
+      if (await fs.pathExists(path.join(appPath, file))) {
+        files.push(file);
+        for (const declaration of this.parseEnvFile(await fs.readFile(path.join(appPath, file), 'utf8'))) {
+          const variable = entry(declaration.name);
+          // Example values are kept as defaults, except for anything that looks like a secret
+          variable.declaredIn.push({ file, line: declaration.line, ...(!this.isSecretName(declaration.name) && { value: declaration.value }) });
+        }
+      }
+    }
+    
+    const list = [...variables.values()]
+      .map(variable => ({ ...variable, optional: variable.referencedIn.length > 0 && variable.optional }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    
+    return { files, variables: list, issues: this.findIssues(list, files) };
+  }
+
+  // 'weam', 'public', 'secret', 'runtime' or 'config'
+  classify(name) {
+    if (name.startsWith('WEAM_') || WEAM_VARIABLES.includes(name)) return 'weam';
+    if (RUNTIME_VARIABLES.includes(name)) return 'runtime';
+    if (PUBLIC_PREFIXES.some(prefix => name.startsWith(prefix))) return 'public';
+    if (SECRET_PATTERN.test(name)) return 'secret';
+    return 'config';
+  }
+
+  // Judged without the public prefix, so NEXT_PUBLIC_COOKIE_PASSWORD still looks like a password
+  isSecretName(name) {
+    const prefix = PUBLIC_PREFIXES.find(p => name.startsWith(p)) || '';
+    return SECRET_PATTERN.test(name.slice(prefix.length));
+  }
+
+  // process.env.X, process.env['X'], import.meta.env.X and const { X } = process.env
+  findReferences(content, file) {
+    if (!/\.(js|jsx|mjs|cjs|ts|tsx|mts|cts)$/.test(file)) {
+      // Vue, Svelte and Astro files mix markup and script, so only the plain member reads are picked up
+      return [...content.matchAll(/\b(?:process\.env|import\.meta\.env)\.([A-Za-z_][A-Za-z0-9_]*)/g)].map(match => ({
+        name: match[1],
+        line: content.slice(0, match.index).split('\n').length,
+        hasDefault: false
+      }));
+    }
+    
+    let ast;
+    try {
+      ast = parseSource(file, content);
+    } catch (error) {
+      return [];
+    }
+    
+    const references = [];
+    const isEnvObject = (node) => node.type === 'MemberExpression' && !node.computed && node.property.name === 'env' &&
+      ((node.object.type === 'Identifier' && node.object.name === 'process') || node.object.type === 'MetaProperty');
+    
+    traverse(ast, {
+      MemberExpression: (nodePath) => {
+        const { node, parent } = nodePath;
+        if (!isEnvObject(node.object)) return;
+        const name = node.computed
+          ? node.property.type === 'StringLiteral' && node.property.value
+          : node.property.name;
+        if (!name) return;
+        
+        // process.env.X || 'fallback' and process.env.X ?? 'fallback'
+        const hasDefault = parent.type === 'LogicalExpression' && parent.left === node && ['||', '??'].includes(parent.operator);
+        references.push({ name, line: node.loc.start.line, hasDefault });
+      },
+      VariableDeclarator: (nodePath) => {
+        const { id, init } = nodePath.node;
+        if (!init || !isEnvObject(init) || id.type !== 'ObjectPattern') return;
+        for (const property of id.properties.filter(p => p.type === 'ObjectProperty')) {
+          references.push({
+            name: property.key.name || property.key.value,
+            line: property.loc.start.line,
+            hasDefault: property.value.type === 'AssignmentPattern'
+          });
+        }
+      }
+    });
+    
+    return references;
+  }
+
+  // KEY=value lines, with `export ` and comments allowed
+  parseEnvFile(text) {
+    const declarations = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+      if (match) {
+        declarations.push({ name: match[1], line: index + 1, value: match[2].replace(/^(['"])(.*)\1$/, '$2').trim() });
+      }
+    });
+    return declarations;
+  }
+
+  // Edit distance with adjacent transpositions, so MONOGODB_URI is one edit away from MONGODB_URI
+  distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    
+    return rows[a.length][b.length];
+  }
+
+  // The well-known name this one is probably a typo of, if any; short names are too close to each other to tell
+  findKnownSpelling(name) {
+    if (name.length < 6 || KNOWN_VARIABLES.includes(name)) return null;
+    return KNOWN_VARIABLES.find(known => this.distance(name, known) === 1) || null;
+  }
+
+  // [{ type: 'missing' | 'misspelled' | 'unused' | 'exposed', name, message, suggestion? }]
+  findIssues(variables, files) {
+    const issues = [];
+    const undeclared = variables.filter(v => v.referencedIn.length > 0 && v.declaredIn.length === 0 && v.category !== 'runtime');
+    const unreferenced = variables.filter(v => v.declaredIn.length > 0 && v.referencedIn.length === 0);
+    
+    // Code and .env.example disagreeing by one character: the example entry is the intended name
+    const counterparts = new Map();
+    for (const variable of undeclared) {
+      const counterpart = unreferenced.find(other => this.distance(variable.name, other.name) === 1);
+      if (counterpart) counterparts.set(variable, counterpart);
+    }
+    const paired = [...counterparts.values()];
+    
+    for (const variable of variables) {
+      const counterpart = counterparts.get(variable);
+      const suggestion = counterpart ? counterpart.name : this.findKnownSpelling(variable.name);
+      if (suggestion) {
+        issues.push({
+          type: 'misspelled',
+          name: variable.name,
+          suggestion,
+          message: `${variable.name} looks like a misspelling of ${suggestion}`
+        });
+      }
+      
+      if (undeclared.includes(variable) && !counterpart) {
+        const where = `${variable.referencedIn[0].file}:${variable.referencedIn[0].line}`;
+        issues.push({
+          type: 'missing',
+          name: variable.name,
+          message: `${variable.name} is read in ${where} but ${files.length > 0 ? `not listed in ${files.join(', ')}` : 'there is no .env.example'}` +
+            (variable.optional ? ' (it has a fallback)' : '')
+        });
+      }
+      
+      if (unreferenced.includes(variable) && !paired.includes(variable)) {
+        issues.push({ type: 'unused', name: variable.name, message: `${variable.name} is listed in ${variable.declaredIn[0].file} but never read` });
+      }
+      
+      // A secret behind a public prefix ends up in the browser bundle
+      if (variable.category === 'public' && this.isSecretName(variable.name)) {
+        issues.push({
+          type: 'exposed',
+          name: variable.name,
+          message: `${variable.name} looks like a secret but its prefix makes it part of the client bundle`
+        });
+      }
+    }
+    
+    return issues;
+  }
+}
+
+module.exports = EnvScanner;
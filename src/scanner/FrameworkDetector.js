@@ -0,0 +1,236 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Points per kind of evidence; 100 points is full confidence
+const WEIGHTS = {
+  dependency: 50,
+  config: 25,
+  script: 15,
+  file: 10
+};
+
+// File conventions only back up a dependency or config, so a src/ folder alone never decides the framework
+const MAX_FILE_SIGNALS = 2;
+
+// Below this a candidate is listed but not picked as the app's framework
+const MIN_CONFIDENCE = 0.4;
+
+// `builtOn` lists the frameworks a meta-framework brings along (every Next.js app depends on react),
+// so those rank below it instead of competing with it
+const FRAMEWORKS = [
+  {
+    name: 'next.js',
+    type: 'web-app',
+    builtOn: ['react', 'express'],
+    dependencies: ['next'],
+    configs: ['next.config.js', 'next.config.mjs', 'next.config.ts'],
+    script: /\bnext\s+(dev|build|start)\b/,
+    files: ['app/', 'pages/', 'src/app/', 'src/pages/']
+  },
+  {
+    name: 'remix',
+    type: 'web-app',
+    builtOn: ['react', 'vite', 'express'],
+    dependencies: ['@remix-run/react', '@remix-run/node', '@remix-run/dev'],
+    configs: ['remix.config.js', 'remix.config.mjs'],
+    script: /\bremix\s+(vite:)?(dev|build)\b/,
+    files: ['app/root.tsx', 'app/root.jsx', 'app/routes/']
+  },
+  {
+    name: 'nuxt',
+    type: 'web-app',
+    builtOn: ['vue', 'vite'],
+    dependencies: ['nuxt', 'nuxt3'],
+    configs: ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs'],
+    script: /\b(nuxt|nuxi)\s+(dev|build|generate)\b/,
+    files: ['app.vue', 'pages/', 'server/api/']
+  },
+  {
+    name: 'sveltekit',
+    type: 'web-app',
+    builtOn: ['svelte', 'vite'],
+    dependencies: ['@sveltejs/kit'],
+    configs: ['svelte.config.js', 'svelte.config.mjs'],
+    script: /\bsvelte-kit\b/,
+    files: ['src/routes/', 'src/app.html']
+  },
+  {
+    name: 'astro',
+    type: 'web-app',
+    builtOn: ['vite', 'react', 'vue', 'svelte'],
+    dependencies: ['astro'],
+    configs: ['astro.config.mjs', 'astro.config.ts', 'astro.config.js'],
+    script: /\bastro\s+(dev|build|preview)\b/,
+    files: ['src/pages/', 'src/layouts/']
+  },
+  {
+    name: 'angular',
+    type: 'web-app',
+    builtOn: [],
+    dependencies: ['@angular/core'],
+    configs: ['angular.json'],
+    script: /\bng\s+(serve|build)\b/,
+    files: ['src/main.ts', 'src/app/']
+  },
+  {
+    name: 'nestjs',
+    type: 'api-server',
+    builtOn: ['express', 'fastify'],
+    dependencies: ['@nestjs/core'],
+    configs: ['nest-cli.json'],
+    script: /\bnest\s+(start|build)\b/,
+    files: ['src/main.ts', 'src/app.module.ts']
+  },
+  {
+    name: 'vite',
+    type: 'web-app',
+    builtOn: [],
+    dependencies: ['vite'],
+    configs: ['vite.config.js', 'vite.config.ts', 'vite.config.mjs'],
+    script: /\bvite\b/,
+    files: ['index.html']
+  },
+  {
+    name: 'react',
+    type: 'web-app',
+    builtOn: [],
+    dependencies: ['react-dom', 'react-scripts'],
+    configs: [],
+    script: /\breact-scripts\s+(start|build)\b/,
+    files: ['src/App.jsx', 'src/App.tsx', 'src/App.js', 'public/index.html']
+  },
+  {
+    name: 'vue',
+    type: 'web-app',
+    builtOn: [],
+    dependencies: ['vue'],
+    configs: ['vue.config.js'],
+    script: /\bvue-cli-service\b/,
+    files: ['src/App.vue', 'src/main.js']
+  },
+  {
+    name: 'svelte',
+    type: 'web-app',
+    builtOn: [],
+    dependencies: ['svelte'],
+    configs: [],
+    script: null,
+    files: ['src/App.svelte', 'src/main.js']
+  },
+  {
+    name: 'express',
+    type: 'api-server',
+    builtOn: [],
+    dependencies: ['express'],
+    configs: [],
+    script: null,
+    files: ['server.js', 'app.js', 'routes/']
+  },
+  {
+    name: 'fastify',
+    type: 'api-server',
+    builtOn: [],
+    dependencies: ['fastify'],
+    configs: [],
+    script: /\bfastify\s+start\b/,
+    files: ['server.js', 'app.js', 'routes/', 'plugins/']
+  },
+  {
+    name: 'koa',
+    type: 'api-server',
+    builtOn: [],
+    dependencies: ['koa'],
+    configs: [],
+    script: null,
+    files: ['server.js', 'app.js', 'routes/']
+  },
+  {
+    name: 'hono',
+    type: 'api-server',
+    builtOn: [],
+    dependencies: ['hono'],
+    configs: ['wrangler.toml'],
+    script: null,
+    files: ['src/index.ts']
+  }
+];
+
+// Ranks frameworks by the dependencies, config files, npm scripts and folder conventions that point to them
+class FrameworkDetector {
+  // [{ framework, type, confidence, evidence }], most likely first
+  async detect(appPath, packageJson = {}) {
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const scripts = Object.entries(packageJson.scripts || {});
+    const exists = new Map();
+    const pathExists = async (file) => {
+      if (!exists.has(file)) {
+        exists.set(file, await fs.pathExists(path.join(appPath, file)));
+      }
+      return exists.get(file);
+    };
+    
+    const candidates = [];
+    for (const definition of FRAMEWORKS) {
+      const evidence = [];
+      let score = 0;
+      
+      const dependency = definition.dependencies.find(name => dependencies[name]);
+      if (dependency) {
+        score += WEIGHTS.dependency;
+        evidence.push(`dependency ${dependency}`);
+      }
+      
+      for (const config of definition.configs) {
+        if (await pathExists(config)) {
+          score += WEIGHTS.config;
+          evidence.push(`config ${config}`);
+          break;
+        }
+      }
+      
+      const script = definition.script && scripts.find(([, command]) => definition.script.test(command));
+      if (script) {
+        score += WEIGHTS.script;
+        evidence.push(`script ${script[0]}: ${script[1]}`);
+      }
+      
+      // Conventions count only next to stronger evidence
+      if (score > 0) {
+        let files = 0;
+        for (const file of definition.files) {
+          if (files < MAX_FILE_SIGNALS && await pathExists(file)) {
+            score += WEIGHTS.file;
+            evidence.push(`file ${file}`);
+            files++;
+          }
+        }
+      }
+      
+      if (score > 0) {
+        candidates.push({
+          framework: definition.name,
+          type: definition.type,
+          confidence: Math.min(1, score / 100),
+          evidence,
+          builtOn: definition.builtOn
+        });
+      }
+    }
+    
+    // A framework another detected one is built on goes after it, whatever its own score
+    const confident = candidates.filter(candidate => candidate.confidence >= MIN_CONFIDENCE);
+    const isUnderlying = (candidate) => confident.some(other => other !== candidate && other.builtOn.includes(candidate.framework));
+    
+    return candidates
+      .map((candidate, order) => ({ candidate, order, underlying: isUnderlying(candidate) }))
+      .sort((a, b) => (a.underlying - b.underlying) || (b.candidate.confidence - a.candidate.confidence) || (a.order - b.order))
+      .map(({ candidate: { builtOn, ...candidate } }) => candidate);
+  }
+
+  // The top candidate, if it is confident enough to act on
+  pick(candidates) {
+    return candidates.find(candidate => candidate.confidence >= MIN_CONFIDENCE) || null;
+  }
+}
+
+module.exports = FrameworkDetector;
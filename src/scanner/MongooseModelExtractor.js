@@ -0,0 +1,253 @@
+const traverse = require('@babel/traverse').default;
+
+const { parseSource } = require('../utils/parseSource');
+const { pluralize, getOwnershipFlags } = require('./modelFields');
+
+// Mongoose models read from their Schema definitions (and the TS interfaces they are typed with) into
+// { name, collection, file, line, type, fields, indexes, interface, hasUserId, hasCompanyId, hasTimestamps }
+class MongooseModelExtractor {
+  matches(content, filePath) {
+    if (!/\.(js|mjs|cjs|ts|mts|cts)$/.test(filePath)) return false;
+    return /\bmodel\s*(<[^>]*>)?\s*\(/.test(content) && /mongoose/.test(content);
+  }
+
+  extract(content, filePath) {
+    let ast;
+    try {
+      ast = parseSource(filePath, content);
+    } catch (error) {
+      return [];
+    }
+    
+    const schemas = new Map();
+    const interfaces = this.findInterfaces(ast, content);
+    const indexCalls = [];
+    const modelCalls = [];
+    
+    traverse(ast, {
+      NewExpression: (nodePath) => {
+        const parent = nodePath.parent;
+        if (this.isSchemaConstructor(nodePath.node) && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+          schemas.set(parent.id.name, nodePath.node);
+        }
+      },
+      CallExpression: (nodePath) => {
+        const { callee, arguments: args } = nodePath.node;
+        if (callee.type !== 'MemberExpression' && callee.type !== 'Identifier') return;
+        
+        // DocumentSchema.index({ 'user.id': 1 }, { unique: true })
+        if (callee.type === 'MemberExpression' && callee.property.name === 'index' && callee.object.type === 'Identifier') {
+          indexCalls.push({ schema: callee.object.name, node: nodePath.node });
+        } else if (this.isModelCall(nodePath.node) && args[0] && args[0].type === 'StringLiteral' && args[1]) {
+          modelCalls.push(nodePath.node);
+        }
+      }
+    });
+    
+    return modelCalls.map(call => {
+      const [name, schemaArg, collectionArg] = call.arguments;
+      const schema = schemaArg.type === 'Identifier' ? schemas.get(schemaArg.name) : schemaArg;
+      const schemaName = schemaArg.type === 'Identifier' ? schemaArg.name : null;
+      const definition = schema && schema.type === 'NewExpression' ? schema.arguments[0] : null;
+      const options = schema && schema.type === 'NewExpression' ? this.getStaticObject(schema.arguments[1]) : {};
+      
+      const spreads = [];
+      const fields = definition && definition.type === 'ObjectExpression' ? this.readFields(definition, schemas, spreads) : {};
+      const indexes = [
+        ...Object.entries(fields)
+          .filter(([, field]) => field.index || field.unique)
+          .map(([field, { unique }]) => ({ fields: { [field]: 1 }, ...(unique && { unique: true }) })),
+        ...indexCalls
+          .filter(index => index.schema === schemaName)
+          .map(index => ({ fields: this.getStaticObject(index.node.arguments[0]), ...(this.getStaticObject(index.node.arguments[1]).unique && { unique: true }) }))
+      ];
+      
+      // mongoose.model<IDocument>(...) or new Schema<IDocument>(...)
+      const typeName = this.getTypeArgument(call) || (schema && this.getTypeArgument(schema));
+      if (typeName && interfaces.has(typeName)) {
+        for (const [field, tsField] of Object.entries(interfaces.get(typeName))) {
+          fields[field] = fields[field] ? { ...fields[field], tsType: tsField.tsType } : tsField;
+        }
+      }
+      
+      const fromWeam = spreads.includes('weamUserFields');
+      const flags = getOwnershipFlags(fields);
+      return {
+        name: name.value,
+        collection: (collectionArg && collectionArg.type === 'StringLiteral' && collectionArg.value) || options.collection || this.getDefaultCollection(name.value),
+        file: filePath,
+        line: call.loc.start.line,
+        type: 'mongoose',
+        fields,
+        indexes,
+        ...(typeName && { interface: typeName }),
+        hasUserId: fromWeam || flags.hasUserId,
+        hasCompanyId: fromWeam || flags.hasCompanyId,
+        hasTimestamps: Boolean(options.timestamps) || spreads.includes('weamTimestamps') || flags.hasTimestamps
+      };
+    });
+  }
+
+  isSchemaConstructor(node) {
+    const callee = node.callee;
+    return (callee.type === 'Identifier' && callee.name === 'Schema') ||
+      (callee.type === 'MemberExpression' && callee.property.name === 'Schema');
+  }
+
+  isModelCall(node) {
+    const callee = node.callee;
+    return (callee.type === 'Identifier' && callee.name === 'model') ||
+      (callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'model');
+  }
+
+  getTypeArgument(node) {
+    const params = node.typeParameters && node.typeParameters.params;
+    const first = params && params[0];
+    return first && first.type === 'TSTypeReference' && first.typeName.type === 'Identifier' ? first.typeName.name : null;
+  }
+
+  // Mongoose lowercases and pluralizes the model name when no collection is given
+  getDefaultCollection(modelName) {
+    return pluralize(modelName.toLowerCase());
+  }
+
+  getKey(property) {
+    return property.key.name || property.key.value;
+  }
+
+  // Plain literal objects such as schema options and index specs; anything computed is left out
+  getStaticObject(node) {
+    const result = {};
+    if (!node || node.type !== 'ObjectExpression') {
+      return result;
+    }
+    
+    for (const property of node.properties.filter(p => p.type === 'ObjectProperty')) {
+      const value = property.value;
+      if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral'].includes(value.type)) {
+        result[this.getKey(property)] = value.value;
+      } else if (value.type === 'UnaryExpression' && value.operator === '-' && value.argument.type === 'NumericLiteral') {
+        result[this.getKey(property)] = -value.argument.value;
+      } else if (value.type === 'ObjectExpression') {
+        result[this.getKey(property)] = this.getStaticObject(value);
+      }
+    }
+    
+    return result;
+  }
+
+  // String, Number, mongoose.Schema.Types.ObjectId -> 'String', 'Number', 'ObjectId'
+  getTypeName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression') return node.property.name;
+    if (node.type === 'StringLiteral') return node.value;
+    return 'Mixed';
+  }
+
+  // Flat map of dotted paths to field definitions, the way Mongoose names nested paths
+  readFields(objectNode, schemas, spreads, prefix = '') {
+    const fields = {};
+    
+    for (const property of objectNode.properties) {
+      if (property.type === 'SpreadElement') {
+        if (property.argument.type === 'Identifier') spreads.push(property.argument.name);
+        continue;
+      }
+      if (property.type !== 'ObjectProperty') continue;
+      
+      Object.assign(fields, this.readField(`${prefix}${this.getKey(property)}`, property.value, schemas, spreads));
+    }
+    
+    return fields;
+  }
+
+  readField(fieldPath, node, schemas, spreads) {
+    // tags: [String], items: [{ name: String }]
+    if (node.type === 'ArrayExpression') {
+      if (node.elements.length === 0) {
+        return { [fieldPath]: { type: 'Array' } };
+      }
+      // An array of subdocuments is a path of its own, next to the paths inside it
+      const inner = this.readField(fieldPath, node.elements[0], schemas, spreads);
+      const nested = Object.entries(inner).filter(([key]) => key !== fieldPath);
+      return { [fieldPath]: { ...(inner[fieldPath] || { type: 'Subdocument' }), array: true }, ...Object.fromEntries(nested) };
+    }
+    
+    // address: AddressSchema
+    if (node.type === 'Identifier' && schemas.has(node.name)) {
+      const definition = schemas.get(node.name).arguments[0];
+      return {
+        [fieldPath]: { type: 'Subdocument' },
+        ...(definition && definition.type === 'ObjectExpression' && this.readFields(definition, schemas, spreads, `${fieldPath}.`))
+      };
+    }
+    
+    if (node.type !== 'ObjectExpression') {
+      return { [fieldPath]: { type: this.getTypeName(node) } };
+    }
+    
+    // { type: String, required: true } declares one field; any other object is a nested path
+    const typeProperty = node.properties.find(p => p.type === 'ObjectProperty' && this.getKey(p) === 'type');
+    if (!typeProperty || typeProperty.value.type === 'ObjectExpression') {
+      return this.readFields(node, schemas, spreads, `${fieldPath}.`);
+    }
+    
+    const typed = this.readField(fieldPath, typeProperty.value, schemas, spreads);
+    const field = { ...typed[fieldPath] };
+    for (const property of node.properties.filter(p => p.type === 'ObjectProperty')) {
+      const value = property.value;
+      switch (this.getKey(property)) {
+        case 'required':
+          // required: [true, 'message'] or a function still makes the field required
+          field.required = value.type !== 'BooleanLiteral' || value.value;
+          break;
+        case 'ref':
+          if (value.type === 'StringLiteral') field.ref = value.value;
+          break;
+        case 'index':
+        case 'unique':
+          if (value.type !== 'BooleanLiteral' || value.value) field[this.getKey(property)] = true;
+          break;
+        case 'enum':
+          if (value.type === 'ArrayExpression') field.enum = value.elements.filter(e => e && e.type === 'StringLiteral').map(e => e.value);
+          break;
+      }
+    }
+    
+    return { ...typed, [fieldPath]: field };
+  }
+
+  // interface IDocument { title: string; user: { id: string } } and type aliases of object types
+  findInterfaces(ast, content) {
+    const interfaces = new Map();
+    
+    const readMembers = (members, prefix = '') => {
+      const fields = {};
+      for (const member of members.filter(m => m.type === 'TSPropertySignature' && m.typeAnnotation)) {
+        const name = `${prefix}${member.key.name || member.key.value}`;
+        const type = member.typeAnnotation.typeAnnotation;
+        if (type.type === 'TSTypeLiteral') {
+          Object.assign(fields, readMembers(type.members, `${name}.`));
+        } else {
+          fields[name] = { tsType: content.slice(type.start, type.end), ...(!member.optional && { required: true }) };
+        }
+      }
+      return fields;
+    };
+    
+    for (const statement of ast.program.body) {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (!declaration) continue;
+      
+      if (declaration.type === 'TSInterfaceDeclaration') {
+        interfaces.set(declaration.id.name, readMembers(declaration.body.body));
+      } else if (declaration.type === 'TSTypeAliasDeclaration' && declaration.typeAnnotation.type === 'TSTypeLiteral') {
+        interfaces.set(declaration.id.name, readMembers(declaration.typeAnnotation.members));
+      }
+    }
+    
+    return interfaces;
+  }
+}
+
+module.exports = MongooseModelExtractor;
@@ -0,0 +1,141 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const traverse = require('@babel/traverse').default;
+
+const { parseSource } = require('../utils/parseSource');
+
+// Files at the root of pages/ that Next.js treats as app wiring, not routes
+const PAGES_SPECIAL = ['_app', '_document', '_error', '_middleware'];
+
+// URL paths for Next.js files under app/ and pages/ (optionally inside src/), as Next.js would serve them
+class NextRouteModel {
+  // { router: 'app'|'pages', kind: 'api'|'page', path, params } for a routable file, null for anything else
+  getRouteInfo(filePath) {
+    const normalized = filePath.replace(/\\/g, '/').replace(/^src\//, '');
+    
+    const appMatch = normalized.match(/^app\/(?:(.*)\/)?(page|route)\.(js|jsx|mjs|ts|tsx|mdx)$/);
+    if (appMatch) {
+      if (appMatch[2] === 'route' && !/^(js|mjs|ts)$/.test(appMatch[3])) {
+        return null;
+      }
+      
+      const segments = appMatch[1] ? appMatch[1].split('/') : [];
+      // Private folders (_lib) are not routable and intercepting routes ((.)photo) only render inside another route
+      if (segments.some(segment => segment.startsWith('_') || /^\(\.{1,3}\)/.test(segment))) {
+        return null;
+      }
+      
+      // Route groups (marketing) and parallel route slots @modal are not part of the URL
+      return this.buildRoute('app', appMatch[2] === 'route' ? 'api' : 'page',
+        segments.filter(segment => !/^\(.*\)$/.test(segment) && !segment.startsWith('@')));
+    }
+    
+    const pagesMatch = normalized.match(/^pages\/(.+)\.(js|jsx|mjs|ts|tsx|mdx)$/);
+    if (pagesMatch) {
+      const segments = pagesMatch[1].split('/');
+      if (segments.length === 1 && PAGES_SPECIAL.includes(segments[0])) {
+        return null;
+      }
+      if (segments[segments.length - 1] === 'index') {
+        segments.pop();
+      }
+      
+      return this.buildRoute('pages', segments[0] === 'api' ? 'api' : 'page', segments);
+    }
+    
+    return null;
+  }
+
+  buildRoute(router, kind, segments) {
+    const params = [];
+    const parts = segments.map(segment => {
+      // [[...slug]] optional catch-all, [...slug] catch-all, [id] single segment
+      const match = segment.match(/^\[\[\.\.\.(.+)\]\]$|^\[\.\.\.(.+)\]$|^\[(.+)\]$/);
+      if (!match) {
+        return segment;
+      }
+      
+      const name = match[1] || match[2] || match[3];
+      params.push(name);
+      return match[1] ? `:${name}*` : match[2] ? `:${name}+` : `:${name}`;
+    });
+    
+    return { router, kind, path: `/${parts.join('/')}`, params };
+  }
+
+  // basePath from next.config, either a literal or the env var it is read from
+  async readConfig(appPath) {
+    const config = { basePath: null, basePathEnv: null };
+    let configFile = null;
+    for (const file of ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts']) {
+      if (await fs.pathExists(path.join(appPath, file))) {
+        configFile = file;
+        break;
+      }
+    }
+    if (!configFile) {
+      return config;
+    }
+    
+    let ast;
+    try {
+      ast = parseSource(configFile, await fs.readFile(path.join(appPath, configFile), 'utf8'));
+    } catch (error) {
+      return config;
+    }
+    
+    traverse(ast, {
+      ObjectProperty: (nodePath) => {
+        const { key, value } = nodePath.node;
+        if ((key.name || key.value) !== 'basePath') return;
+        
+        if (value.type === 'StringLiteral') {
+          config.basePath = value.value.replace(/\/$/, '') || null;
+        } else if (value.type === 'MemberExpression' && value.object.type === 'MemberExpression' && value.object.property.name === 'env') {
+          // basePath: process.env.NEXT_PUBLIC_BASE_PATH is only known at build time
+          config.basePathEnv = value.property.name || value.property.value;
+        }
+      }
+    });
+    
+    return config;
+  }
+
+  withBasePath(routePath, config) {
+    if (!config || !config.basePath) {
+      return routePath;
+    }
+    return routePath === '/' ? config.basePath : `${config.basePath}${routePath}`;
+  }
+
+  // 'use client' has to be the first statement; anything without it renders on the server under app/
+  isClientComponent(content) {
+    return /^(?:\s|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*['"]use client['"]/.test(content);
+  }
+
+  // Every UI page, with whether it is a server or a client component
+  async scanPages(appPath, config) {
+    const files = glob.sync('{src/,}{app/**/page,pages/**/*}.{js,jsx,ts,tsx,mdx}', { cwd: appPath, ignore: ['**/node_modules/**'] });
+    const pages = [];
+    
+    for (const file of files.sort()) {
+      const info = this.getRouteInfo(file);
+      if (!info || info.kind !== 'page') continue;
+      
+      const content = await fs.readFile(path.join(appPath, file), 'utf8');
+      pages.push({
+        path: this.withBasePath(info.path, config),
+        file,
+        router: info.router,
+        params: info.params,
+        // Pages Router pages are all client components
+        component: info.router === 'pages' || this.isClientComponent(content) ? 'client' : 'server'
+      });
+    }
+    
+    return pages;
+  }
+}
+
+module.exports = NextRouteModel;
@@ -0,0 +1,73 @@
+const { getOwnershipFlags } = require('./modelFields');
+
+// Prisma models read line by line from .prisma schema files (prisma/schema.prisma or a prisma/schema/ folder)
+class PrismaModelExtractor {
+  matches(content, filePath) {
+    return filePath.endsWith('.prisma');
+  }
+
+  // [a, b(sort: Desc)] -> ['a', 'b']
+  parseFieldList(text) {
+    return text.split(',').map(part => part.trim().replace(/\(.*$/, '')).filter(Boolean);
+  }
+
+  extract(content, filePath) {
+    const lines = content.split(/\r?\n/);
+    const modelNames = new Set([...content.matchAll(/^\s*model\s+(\w+)\s*\{/gm)].map(match => match[1]));
+    const models = [];
+    let current = null;
+    
+    lines.forEach((raw, index) => {
+      const line = raw.replace(/(^|\s)\/\/.*$/, '').trim();
+      
+      if (!current) {
+        const match = line.match(/^model\s+(\w+)\s*\{/);
+        if (match) {
+          current = { name: match[1], collection: match[1], file: filePath, line: index + 1, type: 'prisma', fields: {}, indexes: [] };
+        }
+        return;
+      }
+      
+      if (line.startsWith('}')) {
+        models.push({ ...current, ...getOwnershipFlags(current.fields) });
+        current = null;
+        return;
+      }
+      
+      // @@map("documents"), @@index([userId, createdAt]), @@unique([companyId, slug])
+      const block = line.match(/^@@(\w+)\((.*)\)$/);
+      if (block) {
+        const list = block[2].match(/^\s*(?:fields:\s*)?\[([^\]]*)\]/);
+        if (block[1] === 'map') {
+          current.collection = (block[2].match(/"([^"]+)"/) || [null, current.collection])[1];
+        } else if ((block[1] === 'index' || block[1] === 'unique') && list) {
+          const fields = Object.fromEntries(this.parseFieldList(list[1]).map(field => [field, 1]));
+          current.indexes.push({ fields, ...(block[1] === 'unique' && { unique: true }) });
+        }
+        return;
+      }
+      
+      const match = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+      if (!match) return;
+      
+      const [, name, type, array, optional, attributes] = match;
+      const field = { type };
+      if (!optional && !array) field.required = true;
+      if (array) field.array = true;
+      if (modelNames.has(type)) field.ref = type;
+      if (/@id\b/.test(attributes)) field.primaryKey = true;
+      if (/@unique\b/.test(attributes)) {
+        field.unique = true;
+        current.indexes.push({ fields: { [name]: 1 }, unique: true });
+      }
+      const column = attributes.match(/@map\("([^"]+)"\)/);
+      if (column) field.column = column[1];
+      
+      current.fields[name] = field;
+    });
+    
+    return models;
+  }
+}
+
+module.exports = PrismaModelExtractor;
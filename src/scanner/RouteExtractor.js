@@ -0,0 +1,387 @@
+const traverse = require('@babel/traverse').default;
+
+const NextRouteModel = require('./NextRouteModel');
+const { parseSource } = require('../utils/parseSource');
+
+const EXPRESS_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all'];
+const NEXT_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Arguments that can be a request handler: inline functions, handler factories such as asyncHandler(fn), controller.method
+const HANDLER_TYPES = ['FunctionExpression', 'ArrowFunctionExpression', 'CallExpression', 'MemberExpression'];
+
+// Finds the HTTP handlers in a JS/TS file from its syntax tree, with the line each one is declared on
+class RouteExtractor {
+  constructor() {
+    this.nextRoutes = new NextRouteModel();
+  }
+
+  isParseable(filePath) {
+    return /\.(js|jsx|mjs|cjs|ts|tsx|mts|cts)$/.test(filePath);
+  }
+
+  // Routes on routers created in this file; routes on imported receivers need the other module to confirm them
+  extract(content, filePath) {
+    return this.analyze(content, filePath).routes.filter(route => !route.routerImport);
+  }
+
+  // Routes, the routers declared and mounted with .use() and what the module exports, for resolving full paths across files.
+  // A route whose receiver is imported carries `routerImport` ({ source, name }) and only counts if that module exports a router
+  analyze(content, filePath) {
+    const empty = { routes: [], routers: [], mounts: [], exports: {} };
+    if (!this.isParseable(filePath)) {
+      return empty;
+    }
+    
+    let ast;
+    try {
+      ast = parseSource(filePath, content);
+    } catch (error) {
+      // A file that does not parse has no routes we can point at
+      return empty;
+    }
+    
+    const routers = this.findRouters(ast);
+    const isRouter = this.getRouterTest(ast, routers);
+    return {
+      routes: [...this.extractNextRoutes(ast, filePath), ...this.extractExpressRoutes(ast, filePath, isRouter)],
+      routers: [...routers],
+      mounts: this.extractMounts(ast, isRouter),
+      exports: this.findExports(ast)
+    };
+  }
+
+  // Static text of a string or expression-free template literal
+  getStaticString(node) {
+    if (!node) return null;
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+  }
+
+  isExpressCall(node) {
+    if (!node || node.type !== 'CallExpression') return false;
+    const callee = node.callee;
+    
+    // express(), require('express')()
+    if (callee.type === 'Identifier' && callee.name === 'express') return true;
+    if (callee.type === 'CallExpression' && callee.callee.name === 'require' && this.getStaticString(callee.arguments[0]) === 'express') return true;
+    
+    // Router(), express.Router(), require('express').Router()
+    if (callee.type === 'Identifier' && callee.name === 'Router') return true;
+    return callee.type === 'MemberExpression' && callee.property.name === 'Router';
+  }
+
+  // Identifiers assigned an Express app or router anywhere in the file
+  findRouters(ast) {
+    const routers = new Set();
+    
+    traverse(ast, {
+      VariableDeclarator: (nodePath) => {
+        const { id, init } = nodePath.node;
+        if (id.type === 'Identifier' && (this.isExpressCall(init) || (init && init.type === 'NewExpression' && init.callee.name === 'Router'))) {
+          routers.add(id.name);
+        }
+      }
+    });
+    
+    return routers;
+  }
+
+  // Only identifiers bound to express() or a Router are routers; a name like `api` is as often an HTTP client
+  getRouterTest(ast, routers = this.findRouters(ast)) {
+    return (node) => node.type === 'Identifier' && routers.has(node.name);
+  }
+
+  // Functions declared elsewhere, imports and parameters can all be handlers; a name bound to data cannot
+  isHandler(argPath) {
+    const { node } = argPath;
+    if (HANDLER_TYPES.includes(node.type)) return true;
+    if (node.type !== 'Identifier') return false;
+    
+    const binding = argPath.scope.getBinding(node.name);
+    if (!binding || !binding.path.isVariableDeclarator() || binding.path.node.id.type !== 'Identifier') return true;
+    return Boolean(binding.path.node.init) && HANDLER_TYPES.includes(binding.path.node.init.type);
+  }
+
+  isRequireCall(node) {
+    return Boolean(node && node.type === 'CallExpression' && node.callee.name === 'require' && this.getStaticString(node.arguments[0]) !== null);
+  }
+
+  // Top-level bindings that come from another module: local name -> { source, name }.
+  // `name` is the export used: 'default' for default imports and plain require(), '*' for namespaces
+  findImports(ast) {
+    const imports = new Map();
+    
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ImportDeclaration') {
+        for (const specifier of statement.specifiers) {
+          const name = specifier.type === 'ImportDefaultSpecifier' ? 'default'
+            : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+              : specifier.imported.name || specifier.imported.value;
+          imports.set(specifier.local.name, { source: statement.source.value, name });
+        }
+      }
+      
+      if (statement.type !== 'VariableDeclaration') continue;
+      for (const { id, init } of statement.declarations) {
+        // require('./x') or require('./x').router
+        const call = init && init.type === 'MemberExpression' ? init.object : init;
+        if (!this.isRequireCall(call)) continue;
+        
+        const source = this.getStaticString(call.arguments[0]);
+        const name = init.type === 'MemberExpression' ? init.property.name : 'default';
+        if (id.type === 'Identifier') {
+          imports.set(id.name, { source, name });
+        } else if (id.type === 'ObjectPattern' && name === 'default') {
+          id.properties
+            .filter(property => property.type === 'ObjectProperty' && property.value.type === 'Identifier')
+            .forEach(property => imports.set(property.value.name, { source, name: property.key.name || property.key.value }));
+        }
+      }
+    }
+    
+    return imports;
+  }
+
+  // Exported name -> local binding, for module.exports, exports.x and ES exports
+  findExports(ast) {
+    const exports = {};
+    const isModuleExports = (node) => node.type === 'MemberExpression' && node.object.name === 'module' && node.property.name === 'exports';
+    
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ExportDefaultDeclaration' && statement.declaration.type === 'Identifier') {
+        exports.default = statement.declaration.name;
+      } else if (statement.type === 'TSExportAssignment' && statement.expression.type === 'Identifier') {
+        exports.default = statement.expression.name;
+      } else if (statement.type === 'ExportNamedDeclaration') {
+        if (statement.declaration && statement.declaration.type === 'VariableDeclaration') {
+          statement.declaration.declarations
+            .filter(declarator => declarator.id.type === 'Identifier')
+            .forEach(declarator => { exports[declarator.id.name] = declarator.id.name; });
+        }
+        (statement.specifiers || [])
+          .filter(specifier => specifier.local)
+          .forEach(specifier => { exports[specifier.exported.name || specifier.exported.value] = specifier.local.name; });
+      }
+      
+      const expression = statement.type === 'ExpressionStatement' && statement.expression;
+      if (!expression || expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') continue;
+      const { left, right } = expression;
+      
+      if (isModuleExports(left) && right.type === 'Identifier') {
+        // module.exports = router
+        exports.default = right.name;
+      } else if (isModuleExports(left) && right.type === 'ObjectExpression') {
+        // module.exports = { users, admin: adminRouter }
+        right.properties
+          .filter(property => property.type === 'ObjectProperty' && property.value.type === 'Identifier')
+          .forEach(property => { exports[property.key.name || property.key.value] = property.value.name; });
+      } else if ((isModuleExports(left.object) || left.object.name === 'exports') && right.type === 'Identifier') {
+        // module.exports.users = router, exports.users = router
+        exports[left.property.name] = right.name;
+      }
+    }
+    
+    return exports;
+  }
+
+  // app.route('/path') at the bottom of a .get(...).post(...) chain
+  findRouteChain(node) {
+    let current = node;
+    while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+      const method = current.callee.property.name;
+      if (method === 'route') {
+        const path = this.getStaticString(current.arguments[0]);
+        return path === null ? null : { path, receiver: current.callee.object };
+      }
+      if (!EXPRESS_METHODS.includes(method)) {
+        return null;
+      }
+      current = current.callee.object;
+    }
+    
+    return null;
+  }
+
+  extractExpressRoutes(ast, filePath, isRouter = this.getRouterTest(ast)) {
+    const imports = this.findImports(ast);
+    const routes = [];
+    
+    // A router from this file, or an imported binding that AppScanner checks against the module it comes from
+    const getRouter = (node) => {
+      if (isRouter(node)) {
+        return { router: node.name };
+      }
+      if (node.type === 'Identifier' && imports.has(node.name)) {
+        const binding = imports.get(node.name);
+        return { router: node.name, routerImport: { source: binding.source, name: binding.name === '*' ? 'default' : binding.name } };
+      }
+      return null;
+    };
+    
+    traverse(ast, {
+      CallExpression: (nodePath) => {
+        const { callee, arguments: args } = nodePath.node;
+        if (callee.type !== 'MemberExpression' || callee.computed || !EXPRESS_METHODS.includes(callee.property.name)) {
+          return;
+        }
+        
+        const method = callee.property.name.toUpperCase();
+        const argPaths = nodePath.get('arguments');
+        
+        // router.get('/path', handler); app.get('env') is a settings read and api.get('/users', { params }) a request, not routes
+        const router = getRouter(callee.object);
+        if (router) {
+          const path = this.getStaticString(args[0]);
+          if (path !== null && argPaths.slice(1).some(argPath => this.isHandler(argPath))) {
+            routes.push({ method, path, file: filePath, line: callee.property.loc.start.line, framework: 'express', ...router });
+          }
+          return;
+        }
+        
+        // app.route('/path').get(handler).post(handler)
+        const chain = this.findRouteChain(callee.object);
+        const chainRouter = chain && getRouter(chain.receiver);
+        if (chainRouter && argPaths.some(argPath => this.isHandler(argPath))) {
+          routes.push({ method, path: chain.path, file: filePath, line: callee.property.loc.start.line, framework: 'express', ...chainRouter });
+        }
+      }
+    });
+    
+    return routes.sort((a, b) => a.line - b.line);
+  }
+
+  // app.use('/api/users', usersRouter): where each mounted router comes from, either
+  // { local } for a router declared in this file or { source, name } for an imported one
+  extractMounts(ast, isRouter) {
+    const imports = this.findImports(ast);
+    const mounts = [];
+    
+    const getTarget = (node) => {
+      if (node.type === 'Identifier') {
+        if (imports.has(node.name)) {
+          const binding = imports.get(node.name);
+          return { source: binding.source, name: binding.name === '*' ? 'default' : binding.name };
+        }
+        return isRouter(node) ? { local: node.name } : null;
+      }
+      if (this.isRequireCall(node)) {
+        return { source: this.getStaticString(node.arguments[0]), name: 'default' };
+      }
+      // require('./routes').users, routes.users
+      if (node.type === 'MemberExpression' && !node.computed) {
+        if (this.isRequireCall(node.object)) {
+          return { source: this.getStaticString(node.object.arguments[0]), name: node.property.name };
+        }
+        const binding = node.object.type === 'Identifier' && imports.get(node.object.name);
+        if (binding && ['default', '*'].includes(binding.name)) {
+          return { source: binding.source, name: node.property.name };
+        }
+      }
+      return null;
+    };
+    
+    traverse(ast, {
+      CallExpression: (nodePath) => {
+        const { callee, arguments: args } = nodePath.node;
+        if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'use' || !isRouter(callee.object)) {
+          return;
+        }
+        
+        // app.use(router) mounts at the root
+        const prefix = this.getStaticString(args[0]);
+        for (const arg of prefix === null ? args : args.slice(1)) {
+          const target = getTarget(arg);
+          if (target) {
+            mounts.push({ router: callee.object.name, prefix: prefix === null ? '/' : prefix, line: callee.property.loc.start.line, target });
+          }
+        }
+      }
+    });
+    
+    return mounts;
+  }
+
+  extractNextRoutes(ast, filePath) {
+    const info = this.nextRoutes.getRouteInfo(filePath);
+    if (!info || info.kind !== 'api') {
+      return [];
+    }
+    
+    const routes = [];
+    const add = (method, node) => {
+      if (method === 'ALL' || NEXT_METHODS.includes(method)) {
+        routes.push({ method, path: info.path, file: filePath, line: node.loc.start.line, framework: 'next.js', nextRouter: info.router, params: info.params });
+      }
+    };
+    
+    if (info.router === 'pages') {
+      this.extractPagesApiMethods(ast).forEach(({ method, node }) => add(method, node));
+      return routes;
+    }
+    
+    // App Router route.ts: every exported GET/POST/... as functions, consts and re-exported bindings
+    for (const statement of ast.program.body) {
+      if (statement.type !== 'ExportNamedDeclaration') continue;
+      
+      const declaration = statement.declaration;
+      if (declaration && declaration.type === 'FunctionDeclaration') {
+        add(declaration.id.name, declaration);
+      } else if (declaration && declaration.type === 'VariableDeclaration') {
+        declaration.declarations
+          .filter(declarator => declarator.id.type === 'Identifier')
+          .forEach(declarator => add(declarator.id.name, declarator));
+      }
+      
+      // export { handler as GET, handler as POST }
+      for (const specifier of statement.specifiers || []) {
+        add(specifier.exported.name || specifier.exported.value, specifier);
+      }
+    }
+    
+    return routes;
+  }
+
+  // A pages/api handler takes every method; the ones it compares req.method against are listed
+  // individually, and a handler that never checks is one ALL route at its default export
+  extractPagesApiMethods(ast) {
+    const handler = ast.program.body.find(statement =>
+      statement.type === 'ExportDefaultDeclaration' ||
+      (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression' &&
+        statement.expression.left.type === 'MemberExpression' && statement.expression.left.object.name === 'module' &&
+        statement.expression.left.property.name === 'exports'));
+    if (!handler) {
+      return [];
+    }
+    
+    const isMethod = (node) => node && node.type === 'MemberExpression' && !node.computed && node.property.name === 'method';
+    const methods = [];
+    const add = (node, literal) => {
+      const method = this.getStaticString(literal);
+      if (method && !methods.some(m => m.method === method.toUpperCase())) {
+        methods.push({ method: method.toUpperCase(), node: literal });
+      }
+    };
+    
+    traverse(ast, {
+      // req.method === 'POST'
+      BinaryExpression: (nodePath) => {
+        const { operator, left, right } = nodePath.node;
+        if (['===', '=='].includes(operator)) {
+          if (isMethod(left)) add(left, right);
+          if (isMethod(right)) add(right, left);
+        }
+      },
+      // switch (req.method) { case 'GET': ... }
+      SwitchStatement: (nodePath) => {
+        if (isMethod(nodePath.node.discriminant)) {
+          nodePath.node.cases.filter(c => c.test).forEach(c => add(nodePath.node.discriminant, c.test));
+        }
+      }
+    });
+    
+    return methods.length > 0 ? methods : [{ method: 'ALL', node: handler }];
+  }
+}
+
+module.exports = RouteExtractor;
@@ -0,0 +1,132 @@
+const traverse = require('@babel/traverse').default;
+
+const { parseSource } = require('../utils/parseSource');
+const { pluralize, getOwnershipFlags } = require('./modelFields');
+
+// Sequelize models declared with sequelize.define('Name', attributes, options) or Model.init(attributes, { sequelize })
+class SequelizeModelExtractor {
+  matches(content, filePath) {
+    return /\.(js|mjs|cjs|ts|mts|cts)$/.test(filePath) && /sequelize/i.test(content) && /\.(define|init)\s*\(/.test(content);
+  }
+
+  extract(content, filePath) {
+    let ast;
+    try {
+      ast = parseSource(filePath, content);
+    } catch (error) {
+      return [];
+    }
+    
+    const models = [];
+    
+    traverse(ast, {
+      CallExpression: (nodePath) => {
+        const { callee, arguments: args } = nodePath.node;
+        if (callee.type !== 'MemberExpression' || callee.computed) return;
+        
+        // sequelize.define('Document', { ... }, { tableName: 'documents' })
+        if (callee.property.name === 'define' && args[0] && args[0].type === 'StringLiteral' && args[1] && args[1].type === 'ObjectExpression') {
+          models.push(this.buildModel(args[0].value, args[1], args[2], filePath, nodePath.node));
+        }
+        
+        // class Document extends Model {}; Document.init({ ... }, { sequelize, modelName: 'Document' })
+        if (callee.property.name === 'init' && callee.object.type === 'Identifier' && args[0] && args[0].type === 'ObjectExpression' &&
+          args[1] && args[1].type === 'ObjectExpression' && args[1].properties.some(p => p.key && this.getKey(p) === 'sequelize')) {
+          const modelName = this.getOption(args[1], 'modelName');
+          models.push(this.buildModel(modelName && modelName.type === 'StringLiteral' ? modelName.value : callee.object.name, args[0], args[1], filePath, nodePath.node));
+        }
+      }
+    });
+    
+    return models;
+  }
+
+  getKey(property) {
+    return property.key.name || property.key.value;
+  }
+
+  getOption(objectNode, name) {
+    const property = objectNode && objectNode.type === 'ObjectExpression' &&
+      objectNode.properties.find(p => p.type === 'ObjectProperty' && this.getKey(p) === name);
+    return property ? property.value : null;
+  }
+
+  isTrue(node) {
+    return Boolean(node && node.type === 'BooleanLiteral' && node.value);
+  }
+
+  // DataTypes.STRING, DataTypes.STRING(100), Sequelize.ARRAY(DataTypes.TEXT) -> 'STRING', 'STRING', 'ARRAY'
+  getTypeName(node) {
+    const target = node.type === 'CallExpression' ? node.callee : node;
+    if (target.type === 'MemberExpression') return target.property.name;
+    if (target.type === 'Identifier') return target.name;
+    return 'UNKNOWN';
+  }
+
+  buildModel(name, attributes, optionsNode, filePath, call) {
+    const fields = {};
+    const indexes = [];
+    
+    for (const property of attributes.properties.filter(p => p.type === 'ObjectProperty')) {
+      const key = this.getKey(property);
+      const value = property.value;
+      if (value.type !== 'ObjectExpression') {
+        fields[key] = { type: this.getTypeName(value) };
+        continue;
+      }
+      
+      const type = this.getOption(value, 'type');
+      const allowNull = this.getOption(value, 'allowNull');
+      const field = { type: type ? this.getTypeName(type) : 'UNKNOWN' };
+      if (this.isTrue(this.getOption(value, 'primaryKey'))) field.primaryKey = true;
+      if (field.primaryKey || (allowNull && allowNull.type === 'BooleanLiteral' && !allowNull.value)) field.required = true;
+      // unique: true or a named composite unique: 'company_slug'
+      const unique = this.getOption(value, 'unique');
+      if (unique && !(unique.type === 'BooleanLiteral' && !unique.value)) {
+        field.unique = true;
+        indexes.push({ fields: { [key]: 1 }, unique: true });
+      }
+      
+      // references: { model: 'users', key: 'id' } or { model: User }
+      const referenced = this.getOption(this.getOption(value, 'references'), 'model');
+      if (referenced) field.ref = referenced.type === 'StringLiteral' ? referenced.value : referenced.name;
+      const column = this.getOption(value, 'field');
+      if (column && column.type === 'StringLiteral') field.column = column.value;
+      
+      fields[key] = field;
+    }
+    
+    // indexes: [{ fields: ['userId', 'createdAt'], unique: true }]
+    const indexList = this.getOption(optionsNode, 'indexes');
+    for (const index of indexList && indexList.type === 'ArrayExpression' ? indexList.elements : []) {
+      const list = this.getOption(index, 'fields');
+      if (!list || list.type !== 'ArrayExpression') continue;
+      indexes.push({
+        fields: Object.fromEntries(list.elements.filter(e => e && e.type === 'StringLiteral').map(e => [e.value, 1])),
+        ...(this.isTrue(this.getOption(index, 'unique')) && { unique: true })
+      });
+    }
+    
+    const tableName = this.getOption(optionsNode, 'tableName');
+    const timestamps = this.getOption(optionsNode, 'timestamps');
+    const flags = getOwnershipFlags(fields);
+    
+    return {
+      name,
+      // Sequelize pluralizes the model name unless told otherwise
+      collection: tableName && tableName.type === 'StringLiteral'
+        ? tableName.value
+        : this.isTrue(this.getOption(optionsNode, 'freezeTableName')) ? name : pluralize(name),
+      file: filePath,
+      line: call.loc.start.line,
+      type: 'sequelize',
+      fields,
+      indexes,
+      ...flags,
+      // createdAt/updatedAt are added for every model unless timestamps: false
+      hasTimestamps: flags.hasTimestamps || !(timestamps && timestamps.type === 'BooleanLiteral' && !timestamps.value)
+    };
+  }
+}
+
+module.exports = SequelizeModelExtractor;
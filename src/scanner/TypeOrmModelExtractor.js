@@ -0,0 +1,136 @@
+const { parseSource } = require('../utils/parseSource');
+const { snakeCase, getOwnershipFlags } = require('./modelFields');
+
+const COLUMN_DECORATORS = ['Column', 'PrimaryColumn', 'PrimaryGeneratedColumn', 'ObjectIdColumn', 'CreateDateColumn', 'UpdateDateColumn', 'DeleteDateColumn', 'VersionColumn'];
+const RELATION_DECORATORS = ['ManyToOne', 'OneToOne', 'OneToMany', 'ManyToMany'];
+
+// TypeORM @Entity() classes and their decorated columns and relations
+class TypeOrmModelExtractor {
+  matches(content, filePath) {
+    return /\.(ts|mts|cts)$/.test(filePath) && /typeorm/.test(content) && /@Entity\s*\(/.test(content);
+  }
+
+  extract(content, filePath) {
+    let ast;
+    try {
+      ast = parseSource(filePath, content);
+    } catch (error) {
+      return [];
+    }
+    
+    return ast.program.body
+      .map(statement => (['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type) ? statement.declaration : statement))
+      .filter(node => node && node.type === 'ClassDeclaration' && this.findDecorator(node, 'Entity'))
+      .map(node => this.buildModel(node, content, filePath));
+  }
+
+  getDecoratorName(decorator) {
+    const expression = decorator.expression.type === 'CallExpression' ? decorator.expression.callee : decorator.expression;
+    return expression.type === 'Identifier' ? expression.name : null;
+  }
+
+  findDecorator(node, name) {
+    return (node.decorators || []).find(decorator => this.getDecoratorName(decorator) === name) || null;
+  }
+
+  getArguments(decorator) {
+    return decorator.expression.type === 'CallExpression' ? decorator.expression.arguments : [];
+  }
+
+  getOption(objectNode, name) {
+    const property = objectNode && objectNode.type === 'ObjectExpression' &&
+      objectNode.properties.find(p => p.type === 'ObjectProperty' && (p.key.name || p.key.value) === name);
+    return property ? property.value : null;
+  }
+
+  isTrue(node) {
+    return Boolean(node && node.type === 'BooleanLiteral' && node.value);
+  }
+
+  // @Index(['userId', 'createdAt'], { unique: true }) and @Unique(['email']) on the class
+  readClassIndexes(node) {
+    return (node.decorators || [])
+      .filter(decorator => ['Index', 'Unique'].includes(this.getDecoratorName(decorator)))
+      .map(decorator => {
+        const args = this.getArguments(decorator);
+        const list = args.find(arg => arg.type === 'ArrayExpression');
+        if (!list) return null;
+        const options = args.find(arg => arg.type === 'ObjectExpression');
+        return {
+          fields: Object.fromEntries(list.elements.filter(e => e && e.type === 'StringLiteral').map(e => [e.value, 1])),
+          ...((this.getDecoratorName(decorator) === 'Unique' || this.isTrue(this.getOption(options, 'unique'))) && { unique: true })
+        };
+      })
+      .filter(Boolean);
+  }
+
+  buildModel(node, content, filePath) {
+    const fields = {};
+    const indexes = this.readClassIndexes(node);
+    const decorated = new Set();
+    
+    for (const member of node.body.body.filter(m => m.type === 'ClassProperty' && m.key.type === 'Identifier')) {
+      const name = member.key.name;
+      const column = COLUMN_DECORATORS.map(d => this.findDecorator(member, d)).find(Boolean);
+      const relation = RELATION_DECORATORS.map(d => this.findDecorator(member, d)).find(Boolean);
+      if (!column && !relation) continue;
+      
+      const annotation = member.typeAnnotation && member.typeAnnotation.typeAnnotation;
+      const field = {};
+      
+      if (column) {
+        const kind = this.getDecoratorName(column);
+        decorated.add(kind);
+        // @Column('varchar', { nullable: true }) or @Column({ type: 'varchar', nullable: true })
+        const args = this.getArguments(column);
+        const options = args.find(arg => arg.type === 'ObjectExpression');
+        const type = args[0] && args[0].type === 'StringLiteral' ? args[0] : this.getOption(options, 'type');
+        field.type = type && type.type === 'StringLiteral' ? type.value : kind === 'Column' ? null : kind;
+        if (kind.startsWith('Primary')) field.primaryKey = true;
+        if (field.primaryKey || (!this.isTrue(this.getOption(options, 'nullable')) && !member.optional)) field.required = true;
+        if (this.isTrue(this.getOption(options, 'unique'))) {
+          field.unique = true;
+          indexes.push({ fields: { [name]: 1 }, unique: true });
+        }
+        const columnName = this.getOption(options, 'name');
+        if (columnName && columnName.type === 'StringLiteral') field.column = columnName.value;
+      } else {
+        // @ManyToOne(() => User), @OneToMany(() => Comment, comment => comment.post)
+        const kind = this.getDecoratorName(relation);
+        const target = this.getArguments(relation)[0];
+        const body = target && target.type === 'ArrowFunctionExpression' ? target.body : target;
+        field.type = 'relation';
+        if (body) field.ref = body.type === 'StringLiteral' ? body.value : body.name;
+        if (kind.endsWith('ToMany')) field.array = true;
+      }
+      
+      if (this.findDecorator(member, 'Index') && !field.unique) {
+        field.index = true;
+        indexes.push({ fields: { [name]: 1 } });
+      }
+      if (annotation) field.tsType = content.slice(annotation.start, annotation.end);
+      if (field.type === null) delete field.type;
+      
+      fields[name] = field;
+    }
+    
+    // @Entity('documents') or @Entity({ name: 'documents' }); otherwise the snake_case class name
+    const [entityArg] = this.getArguments(this.findDecorator(node, 'Entity'));
+    const tableName = entityArg && entityArg.type === 'StringLiteral' ? entityArg : this.getOption(entityArg, 'name');
+    const flags = getOwnershipFlags(fields);
+    
+    return {
+      name: node.id.name,
+      collection: tableName && tableName.type === 'StringLiteral' ? tableName.value : snakeCase(node.id.name),
+      file: filePath,
+      line: node.loc.start.line,
+      type: 'typeorm',
+      fields,
+      indexes,
+      ...flags,
+      hasTimestamps: flags.hasTimestamps || (decorated.has('CreateDateColumn') && decorated.has('UpdateDateColumn'))
+    };
+  }
+}
+
+module.exports = TypeOrmModelExtractor;
@@ -0,0 +1,112 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+
+// Finds the packages of an npm/yarn/pnpm workspace, Lerna, Turborepo or Nx monorepo
+class WorkspaceScanner {
+  async readJson(filePath) {
+    return (await fs.pathExists(filePath)) ? fs.readJson(filePath) : null;
+  }
+
+  // The `packages:` list of pnpm-workspace.yaml, without pulling in a YAML parser for one key
+  parsePnpmWorkspace(text) {
+    const patterns = [];
+    let inPackages = false;
+    
+    for (const line of text.split(/\r?\n/)) {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+      } else if (inPackages && /^\s*-\s*/.test(line)) {
+        patterns.push(line.replace(/^\s*-\s*/, '').replace(/\s+#.*$/, '').replace(/^['"]|['"]$/g, '').trim());
+      } else if (inPackages && /^\S/.test(line)) {
+        inPackages = false;
+      }
+    }
+    
+    return patterns.filter(Boolean);
+  }
+
+  // { root, name, tools, packages: [{ name, path, dependencies, runnable }] }, or null for a single-package app
+  async detect(rootPath) {
+    const packageJson = (await this.readJson(path.join(rootPath, 'package.json'))) || {};
+    const tools = [];
+    const patterns = [];
+    
+    if (packageJson.workspaces) {
+      patterns.push(...(Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces.packages || []));
+      tools.push((await fs.pathExists(path.join(rootPath, 'yarn.lock'))) ? 'yarn' : 'npm');
+    }
+    
+    const pnpmWorkspace = path.join(rootPath, 'pnpm-workspace.yaml');
+    if (await fs.pathExists(pnpmWorkspace)) {
+      patterns.push(...this.parsePnpmWorkspace(await fs.readFile(pnpmWorkspace, 'utf8')));
+      tools.push('pnpm');
+    }
+    
+    const lerna = await this.readJson(path.join(rootPath, 'lerna.json'));
+    if (lerna) {
+      patterns.push(...(lerna.packages || ['packages/*']));
+      tools.push('lerna');
+    }
+    
+    // Turborepo runs on top of the package manager's workspaces; Nx projects can also be plain project.json folders
+    if (await fs.pathExists(path.join(rootPath, 'turbo.json'))) {
+      tools.push('turborepo');
+    }
+    const nx = await fs.pathExists(path.join(rootPath, 'nx.json'));
+    if (nx) {
+      tools.push('nx');
+    }
+    
+    if (tools.length === 0) {
+      return null;
+    }
+    
+    // Negated entries name package directories, so they have to ignore everything inside them
+    const ignore = ['**/node_modules/**', ...patterns.filter(p => p.startsWith('!')).map(p => `${p.slice(1).replace(/\/$/, '')}/**`)];
+    const dirs = new Set();
+    for (const pattern of patterns.filter(p => !p.startsWith('!'))) {
+      glob.sync(`${pattern.replace(/\/$/, '')}/package.json`, { cwd: rootPath, ignore })
+        .forEach(file => dirs.add(path.posix.dirname(file)));
+    }
+    if (nx) {
+      glob.sync('**/project.json', { cwd: rootPath, ignore: [...ignore, '**/dist/**'] })
+        .forEach(file => dirs.add(path.posix.dirname(file)));
+    }
+    dirs.delete('.');
+    
+    if (dirs.size === 0) {
+      return null;
+    }
+    
+    const packages = [];
+    for (const dir of [...dirs].sort()) {
+      const manifest = (await this.readJson(path.join(rootPath, dir, 'package.json'))) || {};
+      const project = (await this.readJson(path.join(rootPath, dir, 'project.json'))) || {};
+      const scripts = manifest.scripts || {};
+      const targets = project.targets || {};
+      packages.push({
+        name: manifest.name || project.name || path.posix.basename(dir),
+        path: dir,
+        // Peer dependencies are left out: a UI kit that peers on react is not a web app
+        dependencies: { ...manifest.dependencies, ...manifest.devDependencies },
+        runnable: Boolean(scripts.dev || scripts.start || scripts.serve || targets.serve || targets.dev)
+      });
+    }
+    
+    return { root: rootPath, name: packageJson.name || path.basename(rootPath), tools, packages };
+  }
+
+  // 'web', 'api' or 'library': only packages that can be started are apps, whatever framework they use
+  getRole(pkg, appInfo) {
+    if (pkg.runnable && appInfo.type === 'web-app') {
+      return 'web';
+    }
+    if ((pkg.runnable && appInfo.type === 'api-server') || appInfo.apiRoutes.length > 0) {
+      return 'api';
+    }
+    return 'library';
+  }
+}
+
+module.exports = WorkspaceScanner;
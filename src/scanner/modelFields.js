@@ -0,0 +1,30 @@
+// Helpers shared by the model extractors, which all produce
+// { name, collection, file, line, type, fields, indexes, hasUserId, hasCompanyId, hasTimestamps }
+
+// English plural the way ORMs derive table names: Category -> Categories, Address -> Addresses
+function pluralize(word) {
+  if (/[^aeiouAEIOU][yY]$/.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+// UserProfile -> user_profile
+function snakeCase(word) {
+  return word.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/([A-Z])([A-Z][a-z])/g, '$1_$2').toLowerCase();
+}
+
+// Whether the model already stores the Weam owner: the Mongoose user.id path, or a userId/user_id column in SQL models
+function getOwnershipFlags(fields) {
+  const has = (...names) => names.some(name => Boolean(fields[name]));
+  return {
+    hasUserId: has('user.id', 'userId', 'user_id'),
+    hasCompanyId: has('companyId', 'company_id'),
+    hasTimestamps: has('createdAt', 'created_at') && has('updatedAt', 'updated_at')
+  };
+}
+
+module.exports = {
+  pluralize,
+  snakeCase,
+  getOwnershipFlags
+};
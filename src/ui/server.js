@@ -8,6 +8,7 @@ const AdmZip = require('adm-zip');
 const AppScanner = require('../scanner/AppScanner');
 const CodeGenerator = require('../generator/CodeGenerator');
 const IntegrationTester = require('../utils/IntegrationTester');
+const ProjectConfig = require('../utils/ProjectConfig');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
@@ -88,12 +89,24 @@ app.post('/api/scan', upload.single('app'), async (req, res) => {
 
 app.post('/api/integrate', async (req, res) => {
   try {
-    const { appInfo, userPreferences } = req.body;
+    const { appInfo } = req.body;
 
-    if (!appInfo || !userPreferences) {
+    if (!appInfo) {
       return res.status(400).json({ error: 'Missing appInfo or userPreferences' });
     }
 
+    // Saved project settings answer anything the request leaves out
+    const projectConfig = new ProjectConfig();
+    const { path: configPath, config } = appInfo.path
+      ? await projectConfig.load(appInfo.path)
+      : { path: null, config: {} };
+
+    if (!req.body.userPreferences && !configPath) {
+      return res.status(400).json({ error: 'Missing appInfo or userPreferences' });
+    }
+
+    const userPreferences = { ...config, ...req.body.userPreferences };
+
     const generator = new CodeGenerator();
     const integrationFiles = await generator.generateIntegration(appInfo, userPreferences);
 
@@ -103,7 +116,8 @@ app.post('/api/integrate', async (req, res) => {
     res.json({
       success: true,
       integrationFiles,
-      testResults
+      testResults,
+      configPath
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,159 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Puts an integration on its own branch, one commit per area, and exports it as a patch
+class GitManager {
+  constructor(appPath) {
+    this.appPath = appPath;
+    this.defaultBranch = 'weam-integration';
+    this.areaOrder = ['auth', 'database', 'branding', 'proxy'];
+    
+    this.areaSubjects = {
+      auth: 'Add Weam session authentication',
+      database: 'Add Weam user and company fields to data models',
+      branding: 'Add Weam branding',
+      proxy: 'Serve the app through the Weam proxy'
+    };
+  }
+
+  async git(args) {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd: this.appPath,
+      maxBuffer: 64 * 1024 * 1024
+    });
+    
+    return stdout.trim();
+  }
+
+  async isRepository() {
+    try {
+      return (await this.git(['rev-parse', '--is-inside-work-tree'])) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async branchExists(branch) {
+    try {
+      await this.git(['show-ref', '--verify', '--quiet', `refs/heads/${branch}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Run backups live in .weamint/; keep them out of status checks and commits without touching .gitignore
+  async excludeRunDir() {
+    const excludePath = path.resolve(this.appPath, await this.git(['rev-parse', '--git-path', 'info/exclude']));
+    const current = (await fs.pathExists(excludePath)) ? await fs.readFile(excludePath, 'utf8') : '';
+    
+    if (!current.split('\n').includes('.weamint/')) {
+      await fs.ensureDir(path.dirname(excludePath));
+      await fs.appendFile(excludePath, `${current && !current.endsWith('\n') ? '\n' : ''}.weamint/\n`);
+    }
+  }
+
+  // Refuse to start on a dirty tree, then branch off the current HEAD
+  async prepare(branch = this.defaultBranch) {
+    if (!(await this.isRepository())) {
+      throw new Error(`${this.appPath} is not a git repository`);
+    }
+    
+    await this.excludeRunDir();
+    
+    const status = await this.git(['status', '--porcelain']);
+    if (status) {
+      throw new Error(`Working tree is not clean - commit or stash these first:\n${status}`);
+    }
+    
+    let base;
+    try {
+      base = await this.git(['rev-parse', 'HEAD']);
+    } catch (error) {
+      throw new Error('The repository needs at least one commit before weamint can branch from it');
+    }
+    
+    if (await this.branchExists(branch)) {
+      throw new Error(`Branch "${branch}" already exists - delete it or pass a different --git-branch`);
+    }
+    
+    const previousBranch = await this.git(['rev-parse', '--abbrev-ref', 'HEAD']);
+    await this.git(['checkout', '-b', branch]);
+    
+    return { branch, base, previousBranch, commits: [] };
+  }
+
+  // Back out of a run that never wrote anything: return to the old branch and drop the new one
+  async abandon(session) {
+    await this.git(['checkout', session.previousBranch]);
+    await this.git(['branch', '-D', session.branch]);
+  }
+
+  // Back out of a run that failed part-way: drop its commits and staged files before abandoning the branch
+  async discard(session) {
+    await this.git(['reset', '--hard', session.base]);
+    await this.abandon(session);
+  }
+
+  createMessage(area, changes) {
+    const subject = this.areaSubjects[area] || `Add Weam ${area} integration`;
+    const body = changes
+      .map(change => `- ${change.action} ${change.file}${change.rationale ? `: ${change.rationale}` : ''}`)
+      .join('\n');
+    
+    return `${subject}\n\n${body}\n\nGenerated by weamint.`;
+  }
+
+  async commit(files, message) {
+    await this.git(['add', '-A', '--', ...files]);
+    
+    // Nothing staged (e.g. the edit matched the original) means nothing to commit
+    try {
+      await this.git(['diff', '--cached', '--quiet']);
+      return null;
+    } catch (error) {
+      await this.git(['commit', '-m', message]);
+      return this.git(['rev-parse', 'HEAD']);
+    }
+  }
+
+  // One commit per integration area, in a fixed order, for the changes that were written
+  async commitAreas(session, changes) {
+    const written = changes.filter(change => change.success && !change.dryRun);
+    const areas = [...new Set([...this.areaOrder, ...written.map(change => change.area)])];
+    
+    for (const area of areas) {
+      const areaChanges = written.filter(change => change.area === area);
+      if (areaChanges.length === 0) {
+        continue;
+      }
+      
+      const message = this.createMessage(area, areaChanges);
+      const sha = await this.commit(areaChanges.map(change => change.file), message);
+      if (sha) {
+        session.commits.push({ area, sha, subject: message.split('\n')[0], files: areaChanges.map(change => change.file) });
+      }
+    }
+    
+    return session.commits;
+  }
+
+  // The branch as a mailbox patch series, so teammates can `git am` it elsewhere
+  async exportPatch(session, patchPath) {
+    const patch = session.commits.length > 0
+      ? await this.git(['format-patch', '--stdout', `${session.base}..HEAD`])
+      : '';
+    
+    await fs.ensureDir(path.dirname(patchPath));
+    await fs.writeFile(patchPath, patch ? patch + '\n' : '');
+    session.patchFile = patchPath;
+    
+    return patchPath;
+  }
+}
+
+module.exports = GitManager;
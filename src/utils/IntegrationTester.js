@@ -2,6 +2,8 @@ const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
 
+const EnvScanner = require('../scanner/EnvScanner');
+
 class IntegrationTester {
   constructor() {
     this.testResults = {
@@ -23,10 +25,10 @@ class IntegrationTester {
       await this.testFileSyntax(integrationFiles);
       
       // Test 3: Test authentication setup
-      await this.testAuthenticationSetup(appPath);
+      await this.testAuthenticationSetup(integrationFiles);
       
       // Test 4: Test database integration
-      await this.testDatabaseIntegration(appPath);
+      await this.testDatabaseIntegration(integrationFiles);
       
       // Test 5: Test proxy configuration
       await this.testProxyConfiguration(integrationFiles);
@@ -123,16 +125,20 @@ class IntegrationTester {
     }
   }
 
-  async testAuthenticationSetup(appPath) {
+  async testAuthenticationSetup(integrationFiles) {
     console.log('\n🔐 Testing authentication setup...');
     
     try {
-      // Check if weamSession middleware was generated
-      const sessionFile = path.join(appPath, 'weam-integration/middleware/weamSession.js');
-      if (await fs.pathExists(sessionFile)) {
-        const content = await fs.readFile(sessionFile, 'utf8');
+      // Express-style middleware or the withWeamSession() wrapper for Next.js, wherever the output went
+      const sessionFile = integrationFiles.find(f => f.type === 'middleware');
+      if (!sessionFile) {
+        console.log('   ⏭️  Skipped - authentication was not generated');
+        return;
+      }
+      if (await fs.pathExists(sessionFile.path)) {
+        const content = await fs.readFile(sessionFile.path, 'utf8');
         
-        if (content.includes('iron-session') && content.includes('weamSessionMiddleware')) {
+        if (content.includes('iron-session') && (content.includes('weamSessionMiddleware') || content.includes('withWeamSession'))) {
           console.log('   ✅ Weam session middleware generated correctly');
           this.testResults.passed++;
         } else {
@@ -152,14 +158,18 @@ class IntegrationTester {
     }
   }
 
-  async testDatabaseIntegration(appPath) {
+  async testDatabaseIntegration(integrationFiles) {
     console.log('\n🗄️ Testing database integration...');
     
     try {
       // Check if database connection file was generated
-      const dbFile = path.join(appPath, 'weam-integration/lib/db.js');
-      if (await fs.pathExists(dbFile)) {
-        const content = await fs.readFile(dbFile, 'utf8');
+      const dbFile = integrationFiles.find(f => f.type === 'database');
+      if (!dbFile) {
+        console.log('   ⏭️  Skipped - database integration was not generated');
+        return;
+      }
+      if (await fs.pathExists(dbFile.path)) {
+        const content = await fs.readFile(dbFile.path, 'utf8');
         
         if (content.includes('mongoose') && content.includes('weamUserFields')) {
           console.log('   ✅ Database integration generated correctly');
@@ -198,9 +208,8 @@ class IntegrationTester {
           this.testResults.errors.push('Proxy configuration missing required components');
         }
       } else {
-        console.log('   ❌ Proxy configuration not found');
-        this.testResults.failed++;
-        this.testResults.errors.push('Proxy configuration not found');
+        // Shared workspace libraries get no proxy route
+        console.log('   ⏭️  Skipped - no proxy route was generated');
       }
     } catch (error) {
       console.log(`   ❌ Proxy test error: ${error.message}`);
@@ -216,14 +225,25 @@ class IntegrationTester {
       const envFile = integrationFiles.find(f => f.type === 'config');
       if (envFile) {
         const content = await fs.readFile(envFile.path, 'utf8');
+        const envScanner = new EnvScanner();
+        const declared = envScanner.parseEnvFile(content).map(declaration => declaration.name);
+        
+        // Every variable the generated code reads has to be in the generated .env
+        const missing = new Set();
+        for (const file of integrationFiles.filter(f => f !== envFile && /\.(js|jsx|ts|tsx)$/.test(f.path))) {
+          const source = await fs.readFile(file.path, 'utf8');
+          envScanner.findReferences(source, file.path)
+            .filter(reference => envScanner.classify(reference.name) !== 'runtime' && !declared.includes(reference.name))
+            .forEach(reference => missing.add(reference.name));
+        }
         
-        if (content.includes('WEAM_COOKIE_NAME') && content.includes('MONGODB_URI') && content.includes('PORT')) {
+        if (missing.size === 0) {
           console.log('   ✅ Environment configuration generated correctly');
           this.testResults.passed++;
         } else {
-          console.log('   ❌ Environment configuration missing required variables');
+          console.log(`   ❌ Environment configuration missing required variables: ${[...missing].join(', ')}`);
           this.testResults.failed++;
-          this.testResults.errors.push('Environment configuration missing required variables');
+          this.testResults.errors.push(`Environment configuration missing required variables: ${[...missing].join(', ')}`);
         }
       } else {
         console.log('   ❌ Environment configuration not found');
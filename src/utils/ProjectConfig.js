@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Per-app settings that pre-answer the integration prompts
+class ProjectConfig {
+  constructor() {
+    this.fileNames = ['weamint.config.json', '.weamintrc'];
+    
+    this.fields = {
+      appName: 'string',
+      description: 'string',
+      category: 'string',
+      addAuth: 'boolean',
+      addDatabase: 'boolean',
+      addBranding: 'boolean',
+      port: 'number',
+      collectionPrefix: 'string',
+      outputDir: 'string',
+      contextTokens: 'number',
+      llm: 'object',
+      writePolicy: 'object',
+      cache: 'boolean',
+      confirmCostAbove: 'number',
+      concurrency: 'number',
+      hybrid: 'boolean',
+      promptsDir: 'string'
+    };
+    
+    this.preferenceFields = ['appName', 'description', 'category', 'addAuth', 'addDatabase', 'addBranding'];
+  }
+
+  async find(appPath) {
+    for (const fileName of this.fileNames) {
+      const configPath = path.join(appPath, fileName);
+      if (await fs.pathExists(configPath)) {
+        return configPath;
+      }
+    }
+    
+    return null;
+  }
+
+  async load(appPath, configPath = null) {
+    const filePath = configPath ? path.resolve(appPath, configPath) : await this.find(appPath);
+    
+    if (!filePath || !(await fs.pathExists(filePath))) {
+      if (configPath) {
+        throw new Error(`Config file not found: ${filePath}`);
+      }
+      return { path: null, config: {} };
+    }
+    
+    let raw;
+    try {
+      raw = await fs.readJson(filePath);
+    } catch (error) {
+      throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+    }
+    
+    return { path: filePath, config: this.validate(raw, filePath) };
+  }
+
+  validate(raw, filePath) {
+    const config = {};
+    
+    for (const [key, value] of Object.entries(raw || {})) {
+      const expectedType = this.fields[key];
+      
+      if (!expectedType) {
+        continue;
+      }
+      
+      if (typeof value !== expectedType) {
+        throw new Error(`Invalid config file ${filePath}: "${key}" must be a ${expectedType}`);
+      }
+      
+      config[key] = value;
+    }
+    
+    return config;
+  }
+
+  async save(appPath, config, configPath = null) {
+    const filePath = configPath
+      ? path.resolve(appPath, configPath)
+      : (await this.find(appPath)) || path.join(appPath, this.fileNames[0]);
+    
+    const existing = await fs.pathExists(filePath) ? await fs.readJson(filePath) : {};
+    const merged = { ...existing };
+    
+    for (const key of Object.keys(this.fields)) {
+      if (config[key] !== undefined) {
+        merged[key] = config[key];
+      }
+    }
+    
+    await fs.writeFile(filePath, JSON.stringify(merged, null, 2) + '\n');
+    return filePath;
+  }
+
+  // Preference answers stored in the config (prompt questions only)
+  getPreferences(config) {
+    const preferences = {};
+    
+    for (const key of this.preferenceFields) {
+      if (config[key] !== undefined) {
+        preferences[key] = config[key];
+      }
+    }
+    
+    return preferences;
+  }
+}
+
+module.exports = ProjectConfig;
@@ -0,0 +1,23 @@
+// Runs async jobs with at most `concurrency` in flight; results keep the input order
+class WorkerPool {
+  constructor(concurrency = 4) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+  }
+
+  async run(items, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    });
+
+    await Promise.all(runners);
+    return results;
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,26 @@
+const { parse } = require('@babel/parser');
+
+// Babel parsing shared by the scanner and the codemods, with the plugins each file extension needs
+
+function getParserPlugins(filePath) {
+  const plugins = [];
+  if (/\.(ts|mts|cts|tsx)$/.test(filePath)) {
+    plugins.push('typescript', 'decorators-legacy');
+  }
+  if (/\.(js|jsx|mjs|cjs|tsx)$/.test(filePath)) {
+    plugins.push('jsx');
+  }
+  return plugins;
+}
+
+function parseSource(filePath, content) {
+  return parse(content, {
+    sourceType: 'unambiguous',
+    plugins: getParserPlugins(filePath)
+  });
+}
+
+module.exports = {
+  getParserPlugins,
+  parseSource
+};
@@ -0,0 +1,186 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const AIIntegrator = require('../../src/ai/AIIntegrator');
+const CodemodRunner = require('../../src/ai/CodemodRunner');
+const RunManager = require('../../src/ai/RunManager');
+const { createFixture } = require('../helpers');
+
+const SERVER = [
+  "const express = require('express');",
+  'const app = express();',
+  '',
+  "app.get('/api/notes', (req, res) => res.json([]));",
+  '',
+  'app.listen(3000);',
+  ''
+].join('\n');
+
+// The three responses of a run that edits server.js and creates lib/weam.js, in request order
+const PLAN = JSON.stringify({
+  recommendations: [
+    { filePath: 'server.js', action: 'modify', area: 'auth', rationale: 'Protect the API', description: 'Use the Weam session middleware' },
+    { filePath: 'lib/weam.js', action: 'create', area: 'auth', rationale: 'Session middleware', description: 'Export a pass-through middleware' }
+  ]
+});
+const EDIT = [
+  '<<<<<<< SEARCH',
+  'const app = express();',
+  '=======',
+  'const app = express();',
+  "app.use(require('./lib/weam'));",
+  '>>>>>>> REPLACE'
+].join('\n');
+const CREATE = 'module.exports = (req, res, next) => next();\n';
+
+// An Express app plus a replay file the mock provider answers from
+async function createApp(sequence) {
+  const appPath = await createFixture({
+    'package.json': { name: 'notes', dependencies: { express: '^4.18.2' } },
+    'server.js': SERVER
+  });
+  const replayFile = path.join(path.dirname(appPath), `${path.basename(appPath)}.replay.json`);
+  await fs.writeJson(replayFile, { sequence });
+  
+  return { appPath, integrator: new AIIntegrator({ llm: { provider: 'mock', replayFile } }) };
+}
+
+const git = (appPath, ...args) => execFileSync('git', args, { cwd: appPath, encoding: 'utf8' }).trim();
+
+async function createRepository(sequence) {
+  const app = await createApp(sequence);
+  git(app.appPath, 'init', '-q');
+  git(app.appPath, 'config', 'user.name', 'Test');
+  git(app.appPath, 'config', 'user.email', 'test@example.com');
+  git(app.appPath, 'checkout', '-q', '-b', 'main');
+  git(app.appPath, 'add', '-A');
+  git(app.appPath, 'commit', '-q', '-m', 'Initial commit');
+  
+  return app;
+}
+
+describe('AIIntegrator.integrateApp', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('applies the replayed plan and records the run', async () => {
+    const { appPath, integrator } = await createApp([PLAN, EDIT, CREATE]);
+    
+    const result = await integrator.integrateApp(appPath, { appName: 'notes' });
+    
+    expect(result.success).toBe(true);
+    expect(result.changes.map(change => [change.file, change.action, change.success])).toEqual([
+      ['server.js', 'modify', true],
+      ['lib/weam.js', 'create', true]
+    ]);
+    expect(result.summary).toMatchObject({ successful: 2, failed: 0, usage: { provider: 'mock', requests: 3 } });
+    expect(await fs.readFile(path.join(appPath, 'server.js'), 'utf8')).toBe(SERVER.replace(
+      'const app = express();\n',
+      "const app = express();\napp.use(require('./lib/weam'));\n"
+    ));
+    expect(await fs.readFile(path.join(appPath, 'lib/weam.js'), 'utf8')).toBe(CREATE);
+    
+    const run = await new RunManager(appPath).loadRun(result.runId);
+    expect(run.status).toBe('completed');
+    expect(run.files.map(file => [file.path, file.existed])).toEqual([['server.js', true], ['lib/weam.js', false]]);
+  });
+
+  test('writes nothing on a dry run', async () => {
+    const { appPath, integrator } = await createApp([PLAN, EDIT, CREATE]);
+    
+    const result = await integrator.integrateApp(appPath, { appName: 'notes', dryRun: true });
+    
+    expect(result).toMatchObject({ success: true, dryRun: true, summary: { successful: 2 } });
+    expect(await fs.readFile(path.join(appPath, 'server.js'), 'utf8')).toBe(SERVER);
+    expect(await fs.pathExists(path.join(appPath, 'lib/weam.js'))).toBe(false);
+    expect((await new RunManager(appPath).loadRun(result.runId)).status).toBe('dry-run');
+  });
+
+  test('reports an edit that does not apply as a failed file and keeps the original', async () => {
+    const stale = EDIT.replace('const app = express();\n=', 'const app = require("express")();\n=');
+    const { appPath, integrator } = await createApp([PLAN, stale, CREATE]);
+    
+    const result = await integrator.integrateApp(appPath, { appName: 'notes' });
+    
+    expect(result.changes.map(change => [change.file, change.success])).toEqual([['server.js', false], ['lib/weam.js', true]]);
+    expect(result.changes[0].error).toMatch(/does not match the file/);
+    expect(await fs.readFile(path.join(appPath, 'server.js'), 'utf8')).toBe(SERVER);
+  });
+
+  test('applies codemods without a run and reports created files as created', async () => {
+    const { appPath, integrator } = await createApp([]);
+    await integrator.prepare(appPath);
+    integrator.codemodRunner = new CodemodRunner();
+    
+    const changes = await integrator.applyAIChanges(appPath, [
+      { filePath: 'weam-integration/middleware/weamSession.js', action: 'create', area: 'auth', codemod: 'helper:expressSession' },
+      { filePath: 'package.json', action: 'modify', area: 'auth', codemod: 'dependencies' }
+    ], null, { appName: 'notes' });
+    
+    expect(changes.map(change => [change.file, change.success])).toEqual([
+      ['weam-integration/middleware/weamSession.js', true],
+      ['package.json', true]
+    ]);
+    expect(await fs.readFile(path.join(appPath, 'weam-integration/middleware/weamSession.js'), 'utf8')).toContain('Weam session middleware for notes');
+    expect((await fs.readJson(path.join(appPath, 'package.json'))).dependencies).toHaveProperty('iron-session');
+    expect(console.log.mock.calls.flat().join('\n')).toMatch(/Created: weam-integration\/middleware\/weamSession\.js[^]*Modified: package\.json/);
+  });
+
+  test('commits the config and each area on a new branch in git mode', async () => {
+    const { appPath, integrator } = await createRepository([PLAN, EDIT, CREATE]);
+    const configFile = path.join(appPath, 'weamint.config.json');
+    
+    const result = await integrator.integrateApp(appPath, {
+      appName: 'notes',
+      git: true,
+      onBranch: async () => {
+        await fs.writeJson(configFile, { appName: 'notes' });
+        return configFile;
+      }
+    });
+    
+    expect(git(appPath, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('weam-integration');
+    expect(git(appPath, 'status', '--porcelain')).toBe('');
+    expect(result.git.commits.map(commit => [commit.area, commit.subject, commit.files])).toEqual([
+      ['config', 'Save weamint integration settings', ['weamint.config.json']],
+      ['auth', 'Add Weam session authentication', ['server.js', 'lib/weam.js']]
+    ]);
+    expect(await fs.readFile(result.git.patchFile, 'utf8')).toContain('Subject: [PATCH 2/2] Add Weam session authentication');
+  });
+
+  test('returns to the previous branch when a git-mode run fails after committing', async () => {
+    const { appPath, integrator } = await createRepository([PLAN, EDIT, CREATE]);
+    
+    // A directory where the patch file should go makes the export fail after the commits
+    await expect(integrator.integrateApp(appPath, { appName: 'notes', git: true, patchFile: appPath })).rejects.toThrow(/EISDIR/);
+    
+    expect(git(appPath, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+    expect(git(appPath, 'branch', '--list', 'weam-integration')).toBe('');
+    expect(git(appPath, 'status', '--porcelain')).toBe('');
+    expect(await fs.readFile(path.join(appPath, 'server.js'), 'utf8')).toBe(SERVER);
+  });
+
+  test('stays on the previous branch when the run cannot be prepared', async () => {
+    const { appPath, integrator } = await createRepository([PLAN, EDIT, CREATE]);
+    // An empty directory is invisible to git but cannot be read as the ignore file
+    await fs.ensureDir(path.join(appPath, '.weamignore'));
+    
+    await expect(integrator.integrateApp(appPath, { appName: 'notes', git: true })).rejects.toThrow(/EISDIR/);
+    expect(git(appPath, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+    expect(git(appPath, 'branch', '--list', 'weam-integration')).toBe('');
+  });
+
+  test('refuses to start git mode on a dirty tree', async () => {
+    const { appPath, integrator } = await createRepository([PLAN, EDIT, CREATE]);
+    await fs.writeFile(path.join(appPath, 'notes.txt'), 'todo');
+    
+    await expect(integrator.integrateApp(appPath, { appName: 'notes', git: true })).rejects.toThrow(/Working tree is not clean/);
+    expect(git(appPath, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+  });
+});
@@ -0,0 +1,20 @@
+const CodeValidator = require('../../src/ai/CodeValidator');
+
+describe('CodeValidator.parseErrors', () => {
+  const codeValidator = new CodeValidator(__dirname);
+  
+  test('parses each extension with the plugins the scanner uses', () => {
+    expect(codeValidator.parseErrors('components/Logo.js', 'export const Logo = () => <img src="/logo.svg" />;')).toEqual([]);
+    expect(codeValidator.parseErrors('src/note.entity.ts', '@Entity() export class Note { @Column() title: string; }')).toEqual([]);
+    expect(codeValidator.parseErrors('app/page.tsx', 'const n: number = 1;\nexport default () => <p>{n}</p>;')).toEqual([]);
+  });
+
+  test('reports where a file stops parsing', () => {
+    expect(codeValidator.parseErrors('server.ts', 'const a = 1;\nconst b = ;')).toEqual([
+      { source: 'parse', line: 2, column: 11, message: 'Unexpected token' }
+    ]);
+    expect(codeValidator.parseErrors('package.json', '{ "name": }')).toEqual([
+      expect.objectContaining({ source: 'parse' })
+    ]);
+  });
+});
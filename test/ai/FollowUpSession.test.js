@@ -0,0 +1,43 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const AIIntegrator = require('../../src/ai/AIIntegrator');
+const FollowUpSession = require('../../src/ai/FollowUpSession');
+const { createFixture } = require('../helpers');
+
+const PLAN = JSON.stringify({
+  recommendations: [
+    { filePath: 'lib/weam.js', action: 'create', area: 'auth', rationale: 'Session middleware', description: 'Export a pass-through middleware' }
+  ]
+});
+const CREATE = 'module.exports = (req, res, next) => next();\n';
+
+describe('FollowUpSession', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('describes the run with the scanned routes and models', async () => {
+    const appPath = await createFixture({
+      'package.json': { name: 'notes', dependencies: { express: '^4.18.2' } },
+      'src/routes/notes.js': "module.exports = require('express').Router();\n",
+      'src/models/Note.js': 'module.exports = {};\n'
+    });
+    const replayFile = path.join(path.dirname(appPath), `${path.basename(appPath)}.replay.json`);
+    await fs.writeJson(replayFile, { sequence: [PLAN, CREATE] });
+    const integrator = new AIIntegrator({ llm: { provider: 'mock', replayFile } });
+    const result = await integrator.integrateApp(appPath, { appName: 'notes' });
+    
+    const session = await new FollowUpSession(integrator, appPath).start(result.runId);
+    const context = session.describeRun();
+    
+    expect(context).toContain('- App Name: notes');
+    expect(context).toContain('- API Routes: src/routes/notes.js\n');
+    expect(context).toContain('- Models: src/models/Note.js\n');
+    expect(context).toContain('- create lib/weam.js (auth): Session middleware');
+  });
+});
@@ -0,0 +1,84 @@
+const PatchApplier = require('../../src/ai/PatchApplier');
+
+describe('PatchApplier', () => {
+  const patchApplier = new PatchApplier();
+  
+  test('parses every SEARCH/REPLACE block in a response', () => {
+    const response = [
+      'Some prose first.',
+      '<<<<<<< SEARCH',
+      'const a = 1;',
+      '=======',
+      'const a = 2;',
+      '>>>>>>> REPLACE',
+      '<<<<<<< SEARCH',
+      'b();',
+      '=======',
+      '>>>>>>> REPLACE'
+    ].join('\n');
+    
+    expect(patchApplier.parseBlocks(response)).toEqual([
+      { search: 'const a = 1;', replace: 'const a = 2;' },
+      { search: 'b();', replace: '' }
+    ]);
+  });
+
+  test('applies an exact match and leaves the rest of the file alone', () => {
+    const content = 'const a = 1;\nconst b = 2;\n';
+    const result = patchApplier.applyBlocks(content, [{ search: 'const b = 2;', replace: 'const b = 3;' }]);
+    
+    expect(result.content).toBe('const a = 1;\nconst b = 3;\n');
+    expect(result.applied).toEqual([{ block: 1, strategy: 'exact' }]);
+  });
+
+  test('falls back to ignoring trailing whitespace', () => {
+    const content = 'if (x) {  \n  run();\n}\n';
+    const result = patchApplier.applyBlocks(content, [{ search: 'if (x) {\n  run();', replace: 'if (x) {\n  stop();' }]);
+    
+    expect(result.content).toBe('if (x) {\n  stop();\n}\n');
+    expect(result.applied[0].strategy).toBe('trailing-whitespace');
+  });
+
+  test('re-indents the replacement when only the indentation differs', () => {
+    const content = 'function f() {\n    call();\n    done();\n}\n';
+    const result = patchApplier.applyBlocks(content, [{ search: 'call();\ndone();', replace: 'call();\nlog();\ndone();' }]);
+    
+    expect(result.content).toBe('function f() {\n    call();\n    log();\n    done();\n}\n');
+    expect(result.applied[0].strategy).toBe('indentation');
+  });
+
+  test('deletes the matched lines for an empty REPLACE', () => {
+    const result = patchApplier.applyBlocks('a();\nb();\nc();\n', [{ search: 'b();', replace: '' }]);
+    
+    expect(result.content).toBe('a();\nc();\n');
+  });
+
+  test('creates content for an empty file from an empty SEARCH', () => {
+    expect(patchApplier.applyBlocks('', [{ search: '', replace: 'module.exports = {};' }]).content).toBe('module.exports = {};\n');
+    expect(() => patchApplier.applyBlocks('x();\n', [{ search: '', replace: 'y();' }])).toThrow(/empty SEARCH section/);
+  });
+
+  test('rejects blocks that match nowhere or more than once', () => {
+    expect(() => patchApplier.applyBlocks('a();\n', [{ search: 'b();', replace: 'c();' }])).toThrow(/does not match/);
+    expect(() => patchApplier.applyBlocks('a();\na();\n', [{ search: 'a();', replace: 'c();' }])).toThrow(/matches 2 places/);
+  });
+
+  test('keeps CRLF endings in CRLF files', () => {
+    const content = 'const a = 1;\r\nconst b = 2;\r\n';
+    const result = patchApplier.applyBlocks(content, [{ search: 'const a = 1;\nconst b = 2;', replace: 'const a = 1;\nconst c = 3;\nconst b = 2;' }]);
+    
+    expect(result.content).toBe('const a = 1;\r\nconst c = 3;\r\nconst b = 2;\r\n');
+  });
+
+  test('only touches the edited lines of a file with mixed line endings', () => {
+    const content = 'one\r\ntwo\nthree\r\nfour\n';
+    const result = patchApplier.applyBlocks(content, [{ search: 'three', replace: 'THREE' }]);
+    
+    expect(result.content).toBe('one\r\ntwo\nTHREE\r\nfour\n');
+  });
+
+  test('strips code fences around whole-file answers', () => {
+    expect(patchApplier.stripCodeFences('```js\nconst a = 1;\n```')).toBe('const a = 1;\n');
+    expect(patchApplier.stripCodeFences('const a = 1;\n')).toBe('const a = 1;\n');
+  });
+});
@@ -0,0 +1,34 @@
+const PromptPacks = require('../../src/ai/PromptPacks');
+const FrameworkDetector = require('../../src/scanner/FrameworkDetector');
+const { createFixture } = require('../helpers');
+
+describe('PromptPacks.selectNames', () => {
+  const promptPacks = new PromptPacks();
+  const frameworkDetector = new FrameworkDetector();
+  
+  const select = async (packageJson, files = {}) => {
+    const appPath = await createFixture(files);
+    return promptPacks.selectNames({ frameworkCandidates: await frameworkDetector.detect(appPath, packageJson) });
+  };
+
+  test('uses the pack of the detected framework', async () => {
+    expect(await select({ dependencies: { next: '14.0.0', react: '18.2.0', 'react-dom': '18.2.0' } })).toEqual(['weam', 'nextjs']);
+    expect(await select({ dependencies: { express: '^4.18.2' } }, { 'server.js': '' })).toEqual(['weam', 'express']);
+    expect(await select({ devDependencies: { '@sveltejs/kit': '^2.0.0', svelte: '^4.0.0', vite: '^5.0.0' } })).toEqual(['weam', 'svelte', 'vite']);
+  });
+
+  test('looks past a bundler that outranks the UI library it serves', async () => {
+    const packageJson = {
+      scripts: { dev: 'vite' },
+      dependencies: { react: '18.2.0', 'react-dom': '18.2.0' },
+      devDependencies: { vite: '^5.0.0' }
+    };
+    
+    expect(await select(packageJson, { 'vite.config.js': '', 'index.html': '' })).toEqual(['weam', 'react', 'vite']);
+  });
+
+  test('uses only the base pack when no detected framework has one', async () => {
+    expect(await select({ dependencies: { fastify: '^4.0.0' } })).toEqual(['weam']);
+    expect(await select({})).toEqual(['weam']);
+  });
+});
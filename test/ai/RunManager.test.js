@@ -0,0 +1,89 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const AIIntegrator = require('../../src/ai/AIIntegrator');
+const RunManager = require('../../src/ai/RunManager');
+const { createFixture } = require('../helpers');
+
+const SERVER = "const express = require('express');\nconst app = express();\n\napp.listen(3000);\n";
+
+// Runs a replayed integration that edits server.js, creates lib/weam.js and deletes legacy/auth.js
+async function integrate() {
+  const appPath = await createFixture({
+    'package.json': { name: 'notes', dependencies: { express: '^4.18.2' } },
+    'server.js': SERVER,
+    'legacy/auth.js': 'module.exports = () => {};\n'
+  });
+  const replayFile = path.join(path.dirname(appPath), `${path.basename(appPath)}.replay.json`);
+  await fs.writeJson(replayFile, {
+    sequence: [
+      JSON.stringify({
+        recommendations: [
+          { filePath: 'server.js', action: 'modify', area: 'auth', rationale: 'r', description: 'Use the middleware' },
+          { filePath: 'lib/weam.js', action: 'create', area: 'auth', rationale: 'r', description: 'Middleware' },
+          { filePath: 'legacy/auth.js', action: 'delete', area: 'auth', rationale: 'r', description: 'Replaced by Weam auth' }
+        ]
+      }),
+      "<<<<<<< SEARCH\nconst app = express();\n=======\nconst app = express();\napp.use(require('./lib/weam'));\n>>>>>>> REPLACE",
+      'module.exports = (req, res, next) => next();\n'
+    ]
+  });
+  
+  const result = await new AIIntegrator({ llm: { provider: 'mock', replayFile } }).integrateApp(appPath, { appName: 'notes' });
+  return { appPath, result };
+}
+
+describe('RunManager.undo', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('puts back every file of the latest run', async () => {
+    const { appPath, result } = await integrate();
+    expect(result.summary.successful).toBe(3);
+    expect(await fs.pathExists(path.join(appPath, 'legacy/auth.js'))).toBe(false);
+    
+    const runManager = new RunManager(appPath);
+    const undone = await runManager.undo();
+    
+    expect(undone).toEqual({ runId: result.runId, restored: ['server.js', 'lib/weam.js', 'legacy/auth.js'] });
+    expect(await fs.readFile(path.join(appPath, 'server.js'), 'utf8')).toBe(SERVER);
+    expect(await fs.readFile(path.join(appPath, 'legacy/auth.js'), 'utf8')).toBe('module.exports = () => {};\n');
+    // The folder the run created goes away with its only file
+    expect(await fs.pathExists(path.join(appPath, 'lib'))).toBe(false);
+    expect((await runManager.loadRun(result.runId)).status).toBe('undone');
+    await expect(runManager.undo(result.runId)).rejects.toThrow(/has already been undone/);
+  });
+
+  test('refuses to undo over files changed since the run', async () => {
+    const { appPath, result } = await integrate();
+    await fs.appendFile(path.join(appPath, 'server.js'), '// edited by hand\n');
+    
+    await expect(new RunManager(appPath).undo(result.runId)).rejects.toMatchObject({ conflicts: ['server.js'] });
+    expect(await fs.readFile(path.join(appPath, 'server.js'), 'utf8')).toContain('// edited by hand');
+  });
+
+  test('defaults to an interrupted run that wrote files', async () => {
+    const appPath = await createFixture({ 'server.js': SERVER });
+    const runManager = new RunManager(appPath);
+    const run = await runManager.startRun();
+    await runManager.writeFile(run, 'server.js', 'changed\n');
+    await runManager.finishRun(run, 'interrupted');
+    
+    expect(await runManager.undo()).toEqual({ runId: run.runId, restored: ['server.js'] });
+    expect(await fs.readFile(path.join(appPath, 'server.js'), 'utf8')).toBe(SERVER);
+  });
+
+  test('has nothing to undo when no run wrote anything', async () => {
+    const appPath = await createFixture({ 'server.js': SERVER });
+    const runManager = new RunManager(appPath);
+    await runManager.finishRun(await runManager.startRun(), 'interrupted');
+    await runManager.finishRun(await runManager.startRun({ dryRun: true }), 'dry-run');
+    
+    await expect(runManager.undo()).rejects.toThrow(/No AI runs to undo/);
+  });
+});
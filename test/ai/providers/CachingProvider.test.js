@@ -0,0 +1,46 @@
+const CachingProvider = require('../../../src/ai/providers/CachingProvider');
+const MockProvider = require('../../../src/ai/providers/MockProvider');
+const OpenAIProvider = require('../../../src/ai/providers/OpenAIProvider');
+const RetryingProvider = require('../../../src/ai/providers/RetryingProvider');
+const { createFixture } = require('../../helpers');
+
+describe('CachingProvider', () => {
+  const request = { messages: [{ role: 'user', content: 'hello' }] };
+
+  test('answers a repeated request from disk', async () => {
+    const cacheDir = await createFixture();
+    const provider = new MockProvider({ sequence: ['first', 'second'] });
+    const cache = new CachingProvider(provider, cacheDir);
+    
+    expect((await cache.complete(request)).content).toBe('first');
+    expect(await cache.complete(request)).toMatchObject({ content: 'first', cached: true });
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  test('keeps servers behind the same provider and model apart', async () => {
+    const cacheDir = await createFixture();
+    const key = (config) => new CachingProvider(new RetryingProvider(new MockProvider(config)), cacheDir).cacheKey(request);
+    
+    expect(key({ baseURL: 'http://localhost:11434/v1' })).toBe(key({ baseURL: 'http://localhost:11434/v1' }));
+    expect(key({ baseURL: 'http://localhost:11434/v1' })).not.toBe(key({ baseURL: 'http://gpu-box:11434/v1' }));
+    expect(key({ apiVersion: '2024-06-01' })).not.toBe(key({ apiVersion: '2024-10-21' }));
+  });
+
+  test('keeps Azure deployments and API versions apart', async () => {
+    const cacheDir = await createFixture();
+    process.env.AZURE_OPENAI_API_KEY = 'test-key';
+    const key = (config) => new CachingProvider(new OpenAIProvider({
+      provider: 'azure',
+      model: 'gpt-4',
+      endpoint: 'https://example.openai.azure.com',
+      ...config
+    }), cacheDir).cacheKey(request);
+    
+    try {
+      expect(key({ deployment: 'prod' })).not.toBe(key({ deployment: 'staging' }));
+      expect(key({ apiVersion: '2024-06-01' })).not.toBe(key({ apiVersion: '2024-10-21' }));
+    } finally {
+      delete process.env.AZURE_OPENAI_API_KEY;
+    }
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const LLMProvider = require('../../../src/ai/providers/LLMProvider');
+const MockProvider = require('../../../src/ai/providers/MockProvider');
+const { resolveLLMConfig, createProvider } = require('../../../src/ai/providers');
+const { createFixture } = require('../../helpers');
+
+describe('MockProvider', () => {
+  const request = (content) => ({ messages: [{ role: 'user', content }] });
+  
+  test('answers exact request matches before the scripted sequence', async () => {
+    const provider = new MockProvider({
+      responses: { [LLMProvider.requestKey(request('known'))]: 'recorded' },
+      sequence: ['first', 'second']
+    });
+    
+    expect((await provider.complete(request('other'))).content).toBe('first');
+    expect((await provider.complete(request('known'))).content).toBe('recorded');
+    expect((await provider.complete(request('other'))).content).toBe('second');
+    await expect(provider.complete(request('other'))).rejects.toThrow(/has no response/);
+    expect(provider.calls).toHaveLength(4);
+  });
+
+  test('loads responses and a sequence from a replay file', async () => {
+    const dir = await createFixture({ 'replay.json': { sequence: ['from file'] } });
+    const provider = new MockProvider({ replayFile: path.join(dir, 'replay.json') });
+    
+    const result = await provider.complete(request('hello'));
+    
+    expect(result.content).toBe('from file');
+    expect(result.usage.outputTokens).toBeGreaterThan(0);
+    expect(() => new MockProvider({ replayFile: path.join(dir, 'missing.json') })).toThrow(/replay file not found/);
+  });
+
+  test('records real responses in the replay format', async () => {
+    const dir = await createFixture();
+    const recordFile = path.join(dir, 'recorded.json');
+    const provider = createProvider(resolveLLMConfig({ provider: 'mock' }, { sequence: ['live answer'], recordFile }));
+    
+    await provider.complete(request('question'));
+    
+    expect(await fs.readJson(recordFile)).toEqual({ responses: { [LLMProvider.requestKey(request('question'))]: 'live answer' } });
+    
+    // The recording replays offline
+    const replay = new MockProvider({ replayFile: recordFile });
+    expect((await replay.complete(request('question'))).content).toBe('live answer');
+  });
+
+  test('keeps every response when requests finish at the same time', async () => {
+    const dir = await createFixture();
+    const recordFile = path.join(dir, 'recorded.json');
+    const answers = Array.from({ length: 10 }, (_, i) => `answer ${i}`);
+    const provider = createProvider(resolveLLMConfig({ provider: 'mock' }, { sequence: answers, recordFile }));
+    
+    await Promise.all(answers.map((_, i) => provider.complete(request(`question ${i}`))));
+    
+    expect(Object.keys((await fs.readJson(recordFile)).responses)).toHaveLength(10);
+  });
+
+  test('passes the wrapped provider\'s tool support through when recording', () => {
+    const provider = createProvider(resolveLLMConfig({ provider: 'mock', tools: false }, { recordFile: 'recorded.json' }));
+    
+    expect(provider.supportsTools).toBe(false);
+  });
+});
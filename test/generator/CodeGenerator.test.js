@@ -0,0 +1,51 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const CodeGenerator = require('../../src/generator/CodeGenerator');
+const { createFixture } = require('../helpers');
+
+describe('CodeGenerator.getEnvironmentGroups', () => {
+  const generator = new CodeGenerator();
+  const variablesOf = (groups) => Object.fromEntries(groups.flatMap(group => group.variables).map(variable => [variable.name, variable.value]));
+  
+  test('lists only the variables the generated files read', () => {
+    const groups = generator.getEnvironmentGroups({ name: 'notes' }, { appName: 'Notes', addAuth: true, addDatabase: true, collectionPrefix: 'solution_notes' });
+    
+    expect(Object.keys(variablesOf(groups))).toEqual(['WEAM_COOKIE_NAME', 'WEAM_COOKIE_PASSWORD', 'MONGODB_URI', 'APP_BASE_URL']);
+    expect(variablesOf(groups).MONGODB_URI).toBe('mongodb://localhost:27017/notes');
+  });
+
+  test('uses a cookie password placeholder long enough for iron-session', () => {
+    const groups = generator.getEnvironmentGroups({ name: 'notes' }, { addAuth: true });
+    
+    expect(variablesOf(groups).WEAM_COOKIE_PASSWORD.length).toBeGreaterThanOrEqual(32);
+  });
+});
+
+describe('CodeGenerator.applyProjectConfig', () => {
+  test('resolves outputDir from the config relative to the app', async () => {
+    const appPath = await createFixture({ 'weamint.config.json': { outputDir: 'generated' } });
+    const generator = new CodeGenerator();
+    
+    await generator.applyProjectConfig({ path: appPath }, {});
+    
+    expect(generator.outputDir).toBe(path.join(appPath, 'generated'));
+  });
+
+  test('puts a workspace package in its own folder of the repo output dir', async () => {
+    const root = await createFixture({ 'packages/web/weamint.config.json': { outputDir: 'generated' } });
+    const appInfo = { path: path.join(root, 'packages/web') };
+    
+    const generator = new CodeGenerator({ workspaceRoot: root, packagePath: 'packages/web' });
+    await generator.applyProjectConfig(appInfo, {});
+    expect(generator.outputDir).toBe(path.join(root, 'generated/packages/web'));
+    
+    // Applying the config again does not nest the package folder twice
+    await generator.applyProjectConfig(appInfo, { outputDir: 'out' });
+    expect(generator.outputDir).toBe(path.join(root, 'out/packages/web'));
+    
+    await fs.remove(path.join(appInfo.path, 'weamint.config.json'));
+    await generator.applyProjectConfig(appInfo, {});
+    expect(generator.outputDir).toBe(path.join('weam-integration', 'packages/web'));
+  });
+});
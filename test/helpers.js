@@ -0,0 +1,20 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Writes { 'relative/path': content } into a fresh temp directory; objects are written as JSON
+async function createFixture(files = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'weamint-test-'));
+  
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(dir, file);
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  
+  return dir;
+}
+
+module.exports = {
+  createFixture
+};
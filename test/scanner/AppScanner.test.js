@@ -0,0 +1,95 @@
+const AppScanner = require('../../src/scanner/AppScanner');
+const { createFixture } = require('../helpers');
+
+describe('AppScanner', () => {
+  const scanRoutes = async (files) => {
+    const appPath = await createFixture(files);
+    const appInfo = { apiRoutes: [], dependencies: {}, nextConfig: null };
+    await new AppScanner().scanApiRoutes(appPath, appInfo);
+    return appInfo.apiRoutes.map(route => `${route.method} ${route.path} (${route.file})`);
+  };
+  
+  test('prefixes Express routes with the path their router is mounted under', async () => {
+    const routes = await scanRoutes({
+      'server.js': [
+        "const express = require('express');",
+        "const api = require('./src/api');",
+        'const app = express();',
+        "app.get('/health', ok);",
+        "app.use('/api', api);"
+      ].join('\n'),
+      'src/api/index.js': [
+        "const { Router } = require('express');",
+        "const notes = require('./notes');",
+        'const router = Router();',
+        "router.use('/notes', notes);",
+        'module.exports = router;'
+      ].join('\n'),
+      'src/api/notes.js': [
+        "const express = require('express');",
+        'const router = express.Router();',
+        "router.get('/', list);",
+        "router.get('/:id', show);",
+        'module.exports = router;'
+      ].join('\n')
+    });
+    
+    expect(routes).toEqual([
+      'GET /health (server.js)',
+      'GET /api/notes (src/api/notes.js)',
+      'GET /api/notes/:id (src/api/notes.js)'
+    ]);
+  });
+
+  test('follows routes on an app imported from another module but not on an imported HTTP client', async () => {
+    const routes = await scanRoutes({
+      'app.js': [
+        "const express = require('express');",
+        'const app = express();',
+        'module.exports = app;'
+      ].join('\n'),
+      'routes/health.js': [
+        "const app = require('../app');",
+        "app.get('/health', (req, res) => res.end());"
+      ].join('\n'),
+      'src/api/http.js': [
+        "import axios from 'axios';",
+        "const api = axios.create({ baseURL: '/api' });",
+        'export default api;'
+      ].join('\n'),
+      'src/api/client.js': [
+        "import api from './http';",
+        "export const listUsers = (params) => api.get('/users', { params });",
+        "export const deleteUser = (handler) => api.delete('/users/1', handler);"
+      ].join('\n')
+    });
+    
+    expect(routes).toEqual(['GET /health (routes/health.js)']);
+  });
+
+  test('serves a router mounted twice under both prefixes', async () => {
+    const routes = await scanRoutes({
+      'app.js': [
+        "import express from 'express';",
+        "import { users } from './lib/routers.js';",
+        'const app = express();',
+        "app.use('/v1/users', users);",
+        "app.use('/v2/users', users);"
+      ].join('\n'),
+      'lib/routers.ts': [
+        "import { Router } from 'express';",
+        'export const users = Router();',
+        "users.get('/me', me);"
+      ].join('\n')
+    });
+    
+    expect(routes).toEqual(['GET /v1/users/me (lib/routers.ts)', 'GET /v2/users/me (lib/routers.ts)']);
+  });
+
+  test('joins route paths without doubled or trailing slashes', () => {
+    const appScanner = new AppScanner();
+    
+    expect(appScanner.joinRoutePaths('/api/', '/notes/')).toBe('/api/notes');
+    expect(appScanner.joinRoutePaths('/', '/')).toBe('/');
+  });
+});
@@ -0,0 +1,44 @@
+const DrizzleModelExtractor = require('../../src/scanner/DrizzleModelExtractor');
+
+describe('DrizzleModelExtractor', () => {
+  const extractor = new DrizzleModelExtractor();
+  
+  test('reads tables with their dialect, column names and indexes', () => {
+    const content = [
+      "import { pgTable, serial, text, index } from 'drizzle-orm/pg-core';",
+      "export const documents = pgTable('documents', {",
+      "  id: serial('id').primaryKey(),",
+      "  title: text('title').notNull(),",
+      "  userId: text('user_id')",
+      "}, (table) => [index('documents_user_idx').on(table.userId)]);"
+    ].join('\n');
+    
+    expect(extractor.matches(content, 'src/db/schema.ts')).toBe(true);
+    expect(extractor.extract(content, 'src/db/schema.ts')).toEqual([{
+      name: 'documents',
+      collection: 'documents',
+      file: 'src/db/schema.ts',
+      line: 2,
+      type: 'drizzle',
+      dialect: 'pg',
+      fields: {
+        id: { type: 'serial', primaryKey: true, required: true },
+        title: { type: 'text', required: true },
+        userId: { type: 'text', column: 'user_id' }
+      },
+      indexes: [{ fields: { userId: 1 } }],
+      hasUserId: true,
+      hasCompanyId: false,
+      hasTimestamps: false
+    }]);
+  });
+
+  test('handles the other dialects', () => {
+    const content = [
+      "import { sqliteTable, integer } from 'drizzle-orm/sqlite-core';",
+      "export const tags = sqliteTable('tags', { id: integer('id').primaryKey() });"
+    ].join('\n');
+    
+    expect(extractor.extract(content, 'db/schema.ts')).toEqual([expect.objectContaining({ name: 'tags', dialect: 'sqlite' })]);
+  });
+});
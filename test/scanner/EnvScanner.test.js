@@ -0,0 +1,73 @@
+const EnvScanner = require('../../src/scanner/EnvScanner');
+const { createFixture } = require('../helpers');
+
+describe('EnvScanner', () => {
+  const envScanner = new EnvScanner();
+  
+  test('finds every way the code reads a variable and whether it has a fallback', () => {
+    const content = [
+      'const uri = process.env.MONGODB_URI;',
+      'const port = process.env.PORT || 3000;',
+      "const key = process.env['OPENAI_API_KEY'];",
+      "const { SESSION_SECRET, LOG_LEVEL = 'info' } = process.env;",
+      'const base = import.meta.env.VITE_API_URL;'
+    ].join('\n');
+    
+    expect(envScanner.findReferences(content, 'src/config.js')).toEqual([
+      { name: 'MONGODB_URI', line: 1, hasDefault: false },
+      { name: 'PORT', line: 2, hasDefault: true },
+      { name: 'OPENAI_API_KEY', line: 3, hasDefault: false },
+      { name: 'SESSION_SECRET', line: 4, hasDefault: false },
+      { name: 'LOG_LEVEL', line: 4, hasDefault: true },
+      { name: 'VITE_API_URL', line: 5, hasDefault: false }
+    ]);
+  });
+
+  test('classifies variables by what they are for', () => {
+    expect(envScanner.classify('WEAM_COOKIE_NAME')).toBe('weam');
+    expect(envScanner.classify('MONGODB_URI')).toBe('weam');
+    expect(envScanner.classify('NODE_ENV')).toBe('runtime');
+    expect(envScanner.classify('NEXT_PUBLIC_API_BASE_PATH')).toBe('public');
+    expect(envScanner.classify('STRIPE_SECRET_KEY')).toBe('secret');
+    expect(envScanner.classify('LOG_LEVEL')).toBe('config');
+  });
+
+  test('parses .env files with exports, quotes and comments', () => {
+    expect(envScanner.parseEnvFile('# comment\nexport PORT=3000\r\nNAME="notes"\n\nBROKEN LINE\n')).toEqual([
+      { name: 'PORT', line: 2, value: '3000' },
+      { name: 'NAME', line: 3, value: 'notes' }
+    ]);
+  });
+
+  test('reports missing, misspelled, unused and exposed variables', async () => {
+    const appPath = await createFixture({
+      'server.js': [
+        'const db = process.env.MONOGODB_URI;',
+        'const token = process.env.GITHUB_TOKEN;',
+        'const secret = process.env.NEXT_PUBLIC_STRIPE_SECRET;',
+        'const mode = process.env.NODE_ENV;'
+      ].join('\n'),
+      '.env.example': 'MONGODB_URI=mongodb://localhost/notes\nNEXT_PUBLIC_STRIPE_SECRET=\nLEFTOVER=1\n',
+      'node_modules/dep/index.js': 'process.env.IGNORED;'
+    });
+    
+    const { files, variables, issues } = await envScanner.scan(appPath);
+    
+    expect(files).toEqual(['.env.example']);
+    expect(variables.map(variable => variable.name)).toEqual(['GITHUB_TOKEN', 'LEFTOVER', 'MONGODB_URI', 'MONOGODB_URI', 'NEXT_PUBLIC_STRIPE_SECRET', 'NODE_ENV']);
+    expect(variables.find(variable => variable.name === 'MONGODB_URI').declaredIn).toEqual([{ file: '.env.example', line: 1 }]);
+    expect(issues.map(issue => `${issue.type} ${issue.name}`)).toEqual([
+      'missing GITHUB_TOKEN',
+      'unused LEFTOVER',
+      'misspelled MONOGODB_URI',
+      'exposed NEXT_PUBLIC_STRIPE_SECRET'
+    ]);
+    expect(issues.find(issue => issue.type === 'misspelled').suggestion).toBe('MONGODB_URI');
+  });
+
+  test('flags names one edit away from a well-known variable', () => {
+    expect(envScanner.findKnownSpelling('OPENAI_APIKEY')).toBe('OPENAI_API_KEY');
+    expect(envScanner.findKnownSpelling('OPENAI_API_KEY')).toBeNull();
+    expect(envScanner.findKnownSpelling('PORTS')).toBeNull();
+  });
+});
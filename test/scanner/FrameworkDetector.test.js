@@ -0,0 +1,51 @@
+const FrameworkDetector = require('../../src/scanner/FrameworkDetector');
+const { createFixture } = require('../helpers');
+
+describe('FrameworkDetector', () => {
+  const frameworkDetector = new FrameworkDetector();
+  
+  test('ranks a meta-framework above the frameworks it is built on', async () => {
+    const packageJson = {
+      scripts: { dev: 'next dev' },
+      dependencies: { next: '14.0.0', react: '18.2.0', 'react-dom': '18.2.0' }
+    };
+    const appPath = await createFixture({ 'next.config.js': 'module.exports = {};', 'app/page.tsx': '' });
+    
+    const candidates = await frameworkDetector.detect(appPath, packageJson);
+    
+    expect(candidates.map(candidate => candidate.framework)).toEqual(['next.js', 'react']);
+    expect(candidates[0]).toEqual({
+      framework: 'next.js',
+      type: 'web-app',
+      confidence: 1,
+      evidence: ['dependency next', 'config next.config.js', 'script dev: next dev', 'file app/']
+    });
+    expect(frameworkDetector.pick(candidates).framework).toBe('next.js');
+  });
+
+  test('detects an API server from its dependency', async () => {
+    const appPath = await createFixture({ 'server.js': '' });
+    
+    const candidates = await frameworkDetector.detect(appPath, { dependencies: { express: '^4.18.2' } });
+    
+    expect(candidates).toEqual([{ framework: 'express', type: 'api-server', confidence: 0.6, evidence: ['dependency express', 'file server.js'] }]);
+  });
+
+  test('does not pick a framework from folder conventions alone', async () => {
+    const appPath = await createFixture({ 'src/App.jsx': '', 'public/index.html': '' });
+    
+    const candidates = await frameworkDetector.detect(appPath, {});
+    
+    expect(candidates).toEqual([]);
+    expect(frameworkDetector.pick(candidates)).toBeNull();
+  });
+
+  test('lists weak candidates without picking them', async () => {
+    const appPath = await createFixture({});
+    
+    const candidates = await frameworkDetector.detect(appPath, { scripts: { build: 'vite build' } });
+    
+    expect(candidates.map(candidate => [candidate.framework, candidate.confidence])).toEqual([['vite', 0.15]]);
+    expect(frameworkDetector.pick(candidates)).toBeNull();
+  });
+});
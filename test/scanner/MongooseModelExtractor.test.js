@@ -0,0 +1,40 @@
+const MongooseModelExtractor = require('../../src/scanner/MongooseModelExtractor');
+
+describe('MongooseModelExtractor', () => {
+  const extractor = new MongooseModelExtractor();
+  
+  test('reads fields, nested paths, indexes and options from a schema', () => {
+    const content = [
+      "const mongoose = require('mongoose');",
+      'const DocumentSchema = new mongoose.Schema({',
+      '  title: { type: String, required: true },',
+      "  user: { id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } },",
+      '  tags: [String]',
+      '}, { timestamps: true });',
+      "DocumentSchema.index({ 'user.id': 1 });",
+      "module.exports = mongoose.model('Document', DocumentSchema);"
+    ].join('\n');
+    
+    expect(extractor.matches(content, 'models/Document.js')).toBe(true);
+    expect(extractor.extract(content, 'models/Document.js')).toEqual([{
+      name: 'Document',
+      collection: 'documents',
+      file: 'models/Document.js',
+      line: 8,
+      type: 'mongoose',
+      fields: {
+        title: { type: 'String', required: true },
+        'user.id': { type: 'ObjectId', ref: 'User' },
+        tags: { type: 'String', array: true }
+      },
+      indexes: [{ fields: { 'user.id': 1 } }],
+      hasUserId: true,
+      hasCompanyId: false,
+      hasTimestamps: true
+    }]);
+  });
+
+  test('ignores files without a Mongoose schema', () => {
+    expect(extractor.matches("const x = require('lodash');", 'lib/x.js')).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+const NextRouteModel = require('../../src/scanner/NextRouteModel');
+const { createFixture } = require('../helpers');
+
+describe('NextRouteModel', () => {
+  const nextRoutes = new NextRouteModel();
+  
+  test('maps App Router files to URL paths', () => {
+    expect(nextRoutes.getRouteInfo('app/page.tsx')).toEqual({ router: 'app', kind: 'page', path: '/', params: [] });
+    expect(nextRoutes.getRouteInfo('src/app/docs/[...slug]/page.tsx')).toEqual({ router: 'app', kind: 'page', path: '/docs/:slug+', params: ['slug'] });
+    expect(nextRoutes.getRouteInfo('app/(marketing)/@modal/pricing/page.js').path).toBe('/pricing');
+    expect(nextRoutes.getRouteInfo('app/api/notes/[id]/route.ts')).toEqual({ router: 'app', kind: 'api', path: '/api/notes/:id', params: ['id'] });
+  });
+
+  test('maps Pages Router files to URL paths', () => {
+    expect(nextRoutes.getRouteInfo('pages/index.js')).toEqual({ router: 'pages', kind: 'page', path: '/', params: [] });
+    expect(nextRoutes.getRouteInfo('pages/shop/[[...filters]].tsx').path).toBe('/shop/:filters*');
+    expect(nextRoutes.getRouteInfo('pages/api/notes/index.ts')).toMatchObject({ kind: 'api', path: '/api/notes' });
+  });
+
+  test('ignores files Next.js does not route', () => {
+    expect(nextRoutes.getRouteInfo('pages/_app.tsx')).toBeNull();
+    expect(nextRoutes.getRouteInfo('app/_lib/page.tsx')).toBeNull();
+    expect(nextRoutes.getRouteInfo('app/feed/(..)photo/page.tsx')).toBeNull();
+    expect(nextRoutes.getRouteInfo('app/api/route.tsx')).toBeNull();
+    expect(nextRoutes.getRouteInfo('components/page.tsx')).toBeNull();
+  });
+
+  test('reads basePath from next.config as a literal or an env var', async () => {
+    const literal = await createFixture({ 'next.config.js': "module.exports = { basePath: '/notes/' };" });
+    const fromEnv = await createFixture({ 'next.config.mjs': 'export default { basePath: process.env.NEXT_PUBLIC_BASE_PATH };' });
+    
+    const config = await nextRoutes.readConfig(literal);
+    expect(config).toEqual({ basePath: '/notes', basePathEnv: null });
+    expect(nextRoutes.withBasePath('/', config)).toBe('/notes');
+    expect(nextRoutes.withBasePath('/api/x', config)).toBe('/notes/api/x');
+    expect(await nextRoutes.readConfig(fromEnv)).toEqual({ basePath: null, basePathEnv: 'NEXT_PUBLIC_BASE_PATH' });
+  });
+
+  test('lists pages as server or client components', async () => {
+    const appPath = await createFixture({
+      'app/page.tsx': 'export default function Home() { return null; }',
+      'app/editor/page.tsx': "// editor\n'use client';\nexport default function Editor() { return null; }",
+      'pages/about.js': 'export default function About() { return null; }',
+      'app/api/notes/route.ts': 'export async function GET() {}'
+    });
+    
+    const pages = await nextRoutes.scanPages(appPath, { basePath: '/notes' });
+    
+    expect(pages.map(page => [page.path, page.component])).toEqual([
+      ['/notes/editor', 'client'],
+      ['/notes', 'server'],
+      ['/notes/about', 'client']
+    ]);
+  });
+});
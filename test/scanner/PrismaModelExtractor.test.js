@@ -0,0 +1,45 @@
+const PrismaModelExtractor = require('../../src/scanner/PrismaModelExtractor');
+
+describe('PrismaModelExtractor', () => {
+  const extractor = new PrismaModelExtractor();
+  
+  test('reads models with their fields, indexes and mapped table name', () => {
+    const content = [
+      'model Post {',
+      '  id        Int      @id @default(autoincrement())',
+      '  title     String',
+      '  userId    String',
+      '  companyId String?',
+      '  createdAt DateTime @default(now())',
+      '  updatedAt DateTime @updatedAt',
+      '  @@index([userId])',
+      '  @@map("posts")',
+      '}'
+    ].join('\n');
+    
+    expect(extractor.matches(content, 'prisma/schema.prisma')).toBe(true);
+    expect(extractor.extract(content, 'prisma/schema.prisma')).toEqual([{
+      name: 'Post',
+      collection: 'posts',
+      file: 'prisma/schema.prisma',
+      line: 1,
+      type: 'prisma',
+      fields: {
+        id: { type: 'Int', required: true, primaryKey: true },
+        title: { type: 'String', required: true },
+        userId: { type: 'String', required: true },
+        companyId: { type: 'String' },
+        createdAt: { type: 'DateTime', required: true },
+        updatedAt: { type: 'DateTime', required: true }
+      },
+      indexes: [{ fields: { userId: 1 } }],
+      hasUserId: true,
+      hasCompanyId: true,
+      hasTimestamps: true
+    }]);
+  });
+
+  test('only reads .prisma files', () => {
+    expect(extractor.matches('model Post {}', 'src/schema.ts')).toBe(false);
+  });
+});
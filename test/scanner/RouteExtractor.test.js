@@ -0,0 +1,104 @@
+const RouteExtractor = require('../../src/scanner/RouteExtractor');
+
+describe('RouteExtractor', () => {
+  const routeExtractor = new RouteExtractor();
+  const summarize = (routes) => routes.map(route => `${route.method} ${route.path}`);
+  
+  test('finds Express routes with the line they are declared on', () => {
+    const content = [
+      "const express = require('express');",
+      'const router = express.Router();',
+      '',
+      "router.get('/notes', list);",
+      "router.post('/notes', create);",
+      "router.route('/notes/:id').get(show).delete(remove);",
+      '',
+      'module.exports = router;'
+    ].join('\n');
+    
+    const routes = routeExtractor.extract(content, 'routes/notes.js');
+    
+    expect(summarize(routes)).toEqual(['GET /notes', 'POST /notes', 'DELETE /notes/:id', 'GET /notes/:id']);
+    expect(routes[0]).toMatchObject({ file: 'routes/notes.js', line: 4, framework: 'express', router: 'router' });
+  });
+
+  test('does not mistake settings reads and other receivers for routes', () => {
+    const content = [
+      "const express = require('express');",
+      'const app = express();',
+      "const env = app.get('env');",
+      "cache.get('/notes', fallback);"
+    ].join('\n');
+    
+    expect(routeExtractor.extract(content, 'server.js')).toEqual([]);
+  });
+
+  test('does not report HTTP client calls or calls without a handler as routes', () => {
+    const client = [
+      "import axios from 'axios';",
+      "const api = axios.create({ baseURL: '/api' });",
+      "export const listUsers = (params) => api.get('/users', { params });",
+      "export const deleteUser = () => api.delete('/users/1');"
+    ].join('\n');
+    const server = [
+      "const express = require('express');",
+      'const router = express.Router();',
+      'const options = { cache: true };',
+      "router.get('/cached', options);",
+      "router.get('/notes', auth(), list);"
+    ].join('\n');
+    
+    expect(routeExtractor.extract(client, 'src/api/client.js')).toEqual([]);
+    expect(summarize(routeExtractor.extract(server, 'routes/notes.js'))).toEqual(['GET /notes']);
+  });
+
+  test('records where routers are mounted and what the module exports', () => {
+    const content = [
+      "import express from 'express';",
+      "import notesRouter from './routes/notes';",
+      'const app = express();',
+      "app.use('/api/notes', notesRouter);",
+      "app.use(require('./routes/health'));",
+      'export default app;'
+    ].join('\n');
+    
+    const { mounts, exports } = routeExtractor.analyze(content, 'src/app.ts');
+    
+    expect(mounts).toEqual([
+      expect.objectContaining({ router: 'app', prefix: '/api/notes', target: { source: './routes/notes', name: 'default' } }),
+      expect.objectContaining({ router: 'app', prefix: '/', target: { source: './routes/health', name: 'default' } })
+    ]);
+    expect(exports.default).toBe('app');
+  });
+
+  test('reads the exported methods of an App Router route handler', () => {
+    const content = [
+      'export async function GET(request) {}',
+      'export const POST = async (request) => {};',
+      'const handler = () => {};',
+      'export { handler as DELETE };'
+    ].join('\n');
+    
+    const routes = routeExtractor.extract(content, 'app/api/notes/[id]/route.ts');
+    
+    expect(summarize(routes)).toEqual(['GET /api/notes/:id', 'POST /api/notes/:id', 'DELETE /api/notes/:id']);
+    expect(routes[0]).toMatchObject({ framework: 'next.js', nextRouter: 'app', params: ['id'] });
+  });
+
+  test('lists the methods a Pages Router handler checks for, or ALL when it checks none', () => {
+    const checked = [
+      'export default function handler(req, res) {',
+      "  if (req.method === 'POST') return create(req, res);",
+      "  if (req.method === 'GET') return list(req, res);",
+      '}'
+    ].join('\n');
+    
+    expect(summarize(routeExtractor.extract(checked, 'pages/api/notes.js'))).toEqual(['POST /api/notes', 'GET /api/notes']);
+    expect(summarize(routeExtractor.extract('module.exports = (req, res) => res.end();', 'pages/api/health.js'))).toEqual(['ALL /api/health']);
+  });
+
+  test('skips files that do not parse or are not source files', () => {
+    expect(routeExtractor.extract("router.get('/x', (req, res) => {", 'routes/broken.js')).toEqual([]);
+    expect(routeExtractor.extract("router.get('/x', handler);", 'README.md')).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+const SequelizeModelExtractor = require('../../src/scanner/SequelizeModelExtractor');
+
+describe('SequelizeModelExtractor', () => {
+  const extractor = new SequelizeModelExtractor();
+  
+  test('reads sequelize.define models with the default pluralized table name', () => {
+    const content = [
+      "const { DataTypes } = require('sequelize');",
+      "module.exports = (sequelize) => sequelize.define('Category', {",
+      '  name: { type: DataTypes.STRING, allowNull: false },',
+      '  user_id: DataTypes.INTEGER',
+      "}, { underscored: true, indexes: [{ fields: ['user_id'] }] });"
+    ].join('\n');
+    
+    expect(extractor.matches(content, 'models/category.js')).toBe(true);
+    expect(extractor.extract(content, 'models/category.js')).toEqual([{
+      name: 'Category',
+      collection: 'Categories',
+      file: 'models/category.js',
+      line: 2,
+      type: 'sequelize',
+      fields: {
+        name: { type: 'STRING', required: true },
+        user_id: { type: 'INTEGER' }
+      },
+      indexes: [{ fields: { user_id: 1 } }],
+      hasUserId: true,
+      hasCompanyId: false,
+      // Sequelize adds createdAt/updatedAt unless timestamps: false
+      hasTimestamps: true
+    }]);
+  });
+
+  test('reads Model.init classes and their tableName', () => {
+    const content = [
+      "const { Model, DataTypes } = require('sequelize');",
+      'class Note extends Model {}',
+      'Note.init({',
+      '  body: DataTypes.TEXT',
+      "}, { sequelize, tableName: 'notes', timestamps: false });"
+    ].join('\n');
+    
+    expect(extractor.extract(content, 'models/note.js')).toEqual([
+      expect.objectContaining({ name: 'Note', collection: 'notes', fields: { body: { type: 'TEXT' } }, hasTimestamps: false })
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+const TypeOrmModelExtractor = require('../../src/scanner/TypeOrmModelExtractor');
+
+describe('TypeOrmModelExtractor', () => {
+  const extractor = new TypeOrmModelExtractor();
+  
+  test('reads @Entity classes with their columns, relations and indexes', () => {
+    const content = [
+      "import { Entity, PrimaryGeneratedColumn, Column, ManyToOne, Index } from 'typeorm';",
+      "@Entity('notes')",
+      "@Index(['companyId'])",
+      'export class Note {',
+      '  @PrimaryGeneratedColumn() id: number;',
+      '  @Column() title: string;',
+      '  @Column({ nullable: true }) companyId: string;',
+      '  @ManyToOne(() => User) owner: User;',
+      '}'
+    ].join('\n');
+    
+    expect(extractor.matches(content, 'src/note.entity.ts')).toBe(true);
+    expect(extractor.extract(content, 'src/note.entity.ts')).toEqual([{
+      name: 'Note',
+      collection: 'notes',
+      file: 'src/note.entity.ts',
+      line: 2,
+      type: 'typeorm',
+      fields: {
+        id: { type: 'PrimaryGeneratedColumn', primaryKey: true, required: true, tsType: 'number' },
+        title: { required: true, tsType: 'string' },
+        companyId: { tsType: 'string' },
+        owner: { type: 'relation', ref: 'User', tsType: 'User' }
+      },
+      indexes: [{ fields: { companyId: 1 } }],
+      hasUserId: false,
+      hasCompanyId: true,
+      hasTimestamps: false
+    }]);
+  });
+
+  test('ignores classes that are not entities', () => {
+    expect(extractor.extract('export class NoteService {}', 'src/note.service.ts')).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+const WorkspaceScanner = require('../../src/scanner/WorkspaceScanner');
+const { createFixture } = require('../helpers');
+
+describe('WorkspaceScanner', () => {
+  const workspaces = new WorkspaceScanner();
+  
+  test('returns null for a single-package app', async () => {
+    const appPath = await createFixture({ 'package.json': { name: 'notes', dependencies: { express: '^4.18.2' } } });
+    
+    expect(await workspaces.detect(appPath)).toBeNull();
+  });
+
+  test('lists yarn workspace packages with turborepo on top', async () => {
+    const rootPath = await createFixture({
+      'package.json': { name: 'mono', private: true, workspaces: ['apps/*', 'packages/*'] },
+      'yarn.lock': '',
+      'turbo.json': {},
+      'apps/web/package.json': { name: 'web', scripts: { dev: 'next dev' }, dependencies: { next: '14.0.0' } },
+      'packages/ui/package.json': { name: '@mono/ui', peerDependencies: { react: '^18.0.0' } },
+      'packages/ui/node_modules/dep/package.json': { name: 'dep' }
+    });
+    
+    const workspace = await workspaces.detect(rootPath);
+    
+    expect(workspace.tools).toEqual(['yarn', 'turborepo']);
+    expect(workspace.packages).toEqual([
+      { name: 'web', path: 'apps/web', dependencies: { next: '14.0.0' }, runnable: true },
+      { name: '@mono/ui', path: 'packages/ui', dependencies: {}, runnable: false }
+    ]);
+  });
+
+  test('leaves out packages excluded by a negated workspace glob', async () => {
+    const rootPath = await createFixture({
+      'package.json': { name: 'mono', workspaces: ['packages/*', '!packages/legacy', '!packages/old-*/'] },
+      'packages/api/package.json': { name: 'api' },
+      'packages/legacy/package.json': { name: 'legacy' },
+      'packages/old-ui/package.json': { name: 'old-ui' }
+    });
+    
+    const workspace = await workspaces.detect(rootPath);
+    
+    expect(workspace.packages.map(pkg => pkg.path)).toEqual(['packages/api']);
+  });
+
+  test('reads pnpm-workspace.yaml and Nx project.json folders', async () => {
+    const rootPath = await createFixture({
+      'package.json': { name: 'mono' },
+      'pnpm-workspace.yaml': "packages:\n  - 'apps/*' # deployables\n  - \"libs/*\"\nonlyBuiltDependencies:\n  - esbuild\n",
+      'nx.json': {},
+      'apps/api/package.json': { name: 'api', scripts: { start: 'node server.js' } },
+      'tools/scripts/project.json': { name: 'scripts', targets: { serve: {} } }
+    });
+    
+    const workspace = await workspaces.detect(rootPath);
+    
+    expect(workspace.tools).toEqual(['pnpm', 'nx']);
+    expect(workspace.packages.map(pkg => [pkg.name, pkg.path, pkg.runnable])).toEqual([
+      ['api', 'apps/api', true],
+      ['scripts', 'tools/scripts', true]
+    ]);
+  });
+
+  test('gives each package a role from whether it runs and what it serves', () => {
+    expect(workspaces.getRole({ runnable: true }, { type: 'web-app', apiRoutes: [] })).toBe('web');
+    expect(workspaces.getRole({ runnable: true }, { type: 'api-server', apiRoutes: [] })).toBe('api');
+    expect(workspaces.getRole({ runnable: false }, { type: 'web-app', apiRoutes: [] })).toBe('library');
+  });
+});